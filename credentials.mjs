@@ -0,0 +1,147 @@
+/**
+ * Claude Code via Antigravity — Credential Store
+ *
+ * The account pool that `setup.mjs` manages and the proxy reads, plus the
+ * token calls both make. The file holds { accounts: [...] }, one entry per
+ * Google account keyed by email; the original single-account layout is read
+ * as a pool of one.
+ *
+ * Writes go to a temporary file that replaces the old one, readable by the
+ * owner only. With PROXY_CREDENTIALS_PASSPHRASE set the pool is stored
+ * encrypted (scrypt + AES-256-GCM) as { encrypted: { salt, iv, tag, data } },
+ * and both setup.mjs and the proxy need the passphrase to read it.
+ */
+
+import { createCipheriv, createDecipheriv, createHmac, randomBytes, scryptSync } from "node:crypto";
+import { readFileSync, writeFileSync, renameSync, existsSync, unlinkSync, statSync } from "node:fs";
+import { homedir } from "node:os";
+import { join } from "node:path";
+
+export const CREDS_PATH = join(homedir(), ".claude-code-via-antigravity-credentials.json");
+
+const TOKEN_URL = "https://oauth2.googleapis.com/token";
+const REVOKE_URL = "https://oauth2.googleapis.com/revoke";
+
+// ── Encryption ──────────────────────────────────────────────────────────
+
+const passphrase = () => process.env.PROXY_CREDENTIALS_PASSPHRASE || null;
+
+// scrypt is deliberately slow and blocks, so the last derived key is kept —
+// one only — and reused, salt included, by every write that follows a read.
+// The passphrase is remembered as a keyed hash, never as itself.
+const FINGERPRINT_KEY = randomBytes(32);
+const fingerprint = (secret) => createHmac("sha256", FINGERPRINT_KEY).update(secret).digest("base64");
+let lastKey = null; // { fingerprint, salt, key }
+
+function deriveKey(secret, salt) {
+    const id = fingerprint(secret);
+    if (lastKey?.fingerprint !== id || lastKey.salt !== salt) {
+        lastKey = { fingerprint: id, salt, key: scryptSync(secret, Buffer.from(salt, "base64"), 32) };
+    }
+    return lastKey.key;
+}
+
+function encrypt(text, secret) {
+    // A fresh IV per write keeps reusing the key and salt safe
+    const salt = lastKey?.fingerprint === fingerprint(secret) ? lastKey.salt : randomBytes(16).toString("base64");
+    const iv = randomBytes(12);
+    const cipher = createCipheriv("aes-256-gcm", deriveKey(secret, salt), iv);
+    const data = Buffer.concat([cipher.update(text, "utf-8"), cipher.final()]);
+    return {
+        kdf: "scrypt", cipher: "aes-256-gcm", salt,
+        iv: iv.toString("base64"), tag: cipher.getAuthTag().toString("base64"), data: data.toString("base64"),
+    };
+}
+
+function decrypt({ salt, iv, tag, data }, secret) {
+    const decipher = createDecipheriv("aes-256-gcm", deriveKey(secret, salt), Buffer.from(iv, "base64"));
+    decipher.setAuthTag(Buffer.from(tag, "base64"));
+    try {
+        return Buffer.concat([decipher.update(Buffer.from(data, "base64")), decipher.final()]).toString("utf-8");
+    } catch {
+        throw new Error("Wrong PROXY_CREDENTIALS_PASSPHRASE for the encrypted credentials file");
+    }
+}
+
+// ── Account pool ────────────────────────────────────────────────────────
+
+// Stored accounts; empty when there is no credentials file yet
+export function readAccounts() {
+    if (!existsSync(CREDS_PATH)) return [];
+    let data = JSON.parse(readFileSync(CREDS_PATH, "utf-8"));
+    if (data.encrypted) {
+        if (!passphrase()) throw new Error(`${CREDS_PATH} is encrypted — set PROXY_CREDENTIALS_PASSPHRASE`);
+        data = JSON.parse(decrypt(data.encrypted, passphrase()));
+    }
+    const accounts = Array.isArray(data.accounts) ? data.accounts : [data];
+    // Accounts are keyed by email; very old files may lack one
+    return accounts.map(a => ({ ...a, email: a.email || `unknown-${a.project_id}` }));
+}
+
+// Replace the stored pool; `encrypted` defaults to whether a passphrase is set
+export function writeAccounts(accounts, { encrypted = !!passphrase() } = {}) {
+    if (encrypted && !passphrase()) throw new Error("Set PROXY_CREDENTIALS_PASSPHRASE to encrypt the credentials file");
+    const text = JSON.stringify({ accounts }, null, 2);
+    const body = encrypted ? JSON.stringify({ encrypted: encrypt(text, passphrase()) }, null, 2) : text;
+    const tmp = `${CREDS_PATH}.${process.pid}.tmp`;
+    writeFileSync(tmp, body, { mode: 0o600 });
+    renameSync(tmp, CREDS_PATH);
+}
+
+// Merge fields into one stored account, leaving accounts changed on disk meanwhile alone
+export function updateAccount(email, fields) {
+    const accounts = readAccounts();
+    const i = accounts.findIndex(a => a.email === email);
+    if (i === -1) return false;
+    accounts[i] = { ...accounts[i], ...fields };
+    writeAccounts(accounts);
+    return true;
+}
+
+export function deleteCredentials() {
+    if (existsSync(CREDS_PATH)) unlinkSync(CREDS_PATH);
+}
+
+// How the file is stored: { encrypted, mode } (mode as octal string, e.g. "600"), or null
+export function storageInfo() {
+    if (!existsSync(CREDS_PATH)) return null;
+    const encrypted = !!JSON.parse(readFileSync(CREDS_PATH, "utf-8")).encrypted;
+    return { encrypted, mode: (statSync(CREDS_PATH).mode & 0o777).toString(8) };
+}
+
+// ── Tokens ──────────────────────────────────────────────────────────────
+
+// A fresh access token from the account's refresh token: { access_token, expires_at }.
+// `expires_at` leaves five minutes of slack.
+export async function refreshAccessToken(account) {
+    const response = await fetch(TOKEN_URL, {
+        method: "POST",
+        headers: { "Content-Type": "application/x-www-form-urlencoded" },
+        body: new URLSearchParams({
+            client_id: account.client_id,
+            client_secret: account.client_secret,
+            refresh_token: account.refresh_token,
+            grant_type: "refresh_token",
+        }),
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok || !data.access_token) {
+        const reason = data.error_description || data.error || `HTTP ${response.status}`;
+        throw new Error(`Token refresh failed for ${account.email}: ${reason}`);
+    }
+    return {
+        access_token: data.access_token,
+        expires_at: Date.now() + (data.expires_in || 3600) * 1000 - 5 * 60 * 1000,
+    };
+}
+
+// Revoke the account's grant at Google (revoking the refresh token ends its access tokens too)
+export async function revokeAccount(account) {
+    const response = await fetch(REVOKE_URL, {
+        method: "POST",
+        headers: { "Content-Type": "application/x-www-form-urlencoded" },
+        body: new URLSearchParams({ token: account.refresh_token || account.access_token }),
+    });
+    // 400 invalid_token: already revoked or expired, which is what we wanted
+    if (!response.ok && response.status !== 400) throw new Error(`HTTP ${response.status}`);
+}
@@ -0,0 +1,116 @@
+/**
+ * Claude Code via Antigravity — Proxy Log
+ *
+ * The proxy writes one JSON line per event to the log; `node setup.mjs logs`
+ * reads it back, filters it and follows it.
+ *
+ * Entry fields:
+ *   ts, level ("debug" | "info" | "warn" | "error"), request_id (on lines
+ *   logged while handling a request), msg, or stage (received, converted,
+ *   upstream, first_byte, completed, error, payload) with ms since the request
+ *   arrived and the stage's own fields
+ *
+ * When a write would take the file past its size limit it is renamed to
+ * `.1` (the older ones to `.2`, `.3`, … up to the number kept) and a new one
+ * is started.
+ */
+
+import { appendFileSync, readFileSync, existsSync, statSync, renameSync, writeFileSync } from "node:fs";
+import { homedir } from "node:os";
+import { join } from "node:path";
+
+export const LOG_PATH = process.env.PROXY_LOG_FILE
+    || join(homedir(), ".claude-code-via-antigravity-proxy.log");
+
+export const LOG_LEVELS = ["debug", "info", "warn", "error"];
+
+// ── Writing ─────────────────────────────────────────────────────────────
+
+// Size of the log file as this process has written it; read from disk on the
+// first write only, so appending costs no stat per line
+let logSize = null;
+
+// Append one line, rotating first when it would take the file past `maxBytes`
+// (0: never). `files` is how many rotated files are kept.
+export function appendLog(line, { maxBytes = 0, files = 3 } = {}) {
+    logSize ??= existsSync(LOG_PATH) ? statSync(LOG_PATH).size : 0;
+    const bytes = Buffer.byteLength(line) + 1;
+    if (maxBytes > 0 && logSize > 0 && logSize + bytes > maxBytes) rotate(files);
+    appendFileSync(LOG_PATH, `${line}\n`);
+    logSize += bytes;
+}
+
+function rotate(files) {
+    logSize = 0;
+    if (files < 1) { writeFileSync(LOG_PATH, ""); return; }
+    for (let i = files - 1; i >= 1; i--) {
+        if (existsSync(`${LOG_PATH}.${i}`)) renameSync(`${LOG_PATH}.${i}`, `${LOG_PATH}.${i + 1}`);
+    }
+    // Deleted since the size was read: nothing to keep
+    if (existsSync(LOG_PATH)) renameSync(LOG_PATH, `${LOG_PATH}.1`);
+}
+
+// Header and field names whose values are always secret
+const SECRET_KEYS = /^(authorization|proxy-authorization|x-api-key|x-goog-api-key|api_key|apikey|access_token|refresh_token|id_token|client_secret|password|passphrase|secret|token)$/i;
+
+// Credentials that turn up inside other values, prompts included
+const SECRET_VALUES = [
+    /\bya29\.[\w.-]+/g,             // Google access tokens
+    /\b1\/\/[\w.-]{20,}/g,          // Google refresh tokens
+    /\bAIza[\w-]{35}\b/g,           // Google API keys
+    /\bsk-[\w-]{8,}/g,              // Anthropic / OpenAI style API keys
+    /\bBearer\s+[\w.~+/-]+=*/gi,
+];
+
+// A copy of `value` that is safe to write to the log
+export function redact(value) {
+    if (typeof value === "string") return SECRET_VALUES.reduce((text, pattern) => text.replace(pattern, "[redacted]"), value);
+    if (Array.isArray(value)) return value.map(redact);
+    if (value && typeof value === "object") {
+        return Object.fromEntries(Object.entries(value).map(([key, v]) =>
+            [key, SECRET_KEYS.test(key) && v != null ? "[redacted]" : redact(v)]));
+    }
+    return value;
+}
+
+// ── Reading ─────────────────────────────────────────────────────────────
+
+// One line of the log; lines written before the log was JSON come back as { msg }
+export function parseLogLine(line) {
+    try {
+        const entry = JSON.parse(line);
+        if (entry && typeof entry === "object") return entry;
+    } catch { }
+    return { msg: line };
+}
+
+// Every entry, oldest first, rotated files included
+export function readLog() {
+    const paths = [];
+    for (let i = 1; existsSync(`${LOG_PATH}.${i}`); i++) paths.unshift(`${LOG_PATH}.${i}`);
+    if (existsSync(LOG_PATH)) paths.push(LOG_PATH);
+    return paths.flatMap(path => readFileSync(path, "utf-8").split("\n").filter(l => l.trim()).map(parseLogLine));
+}
+
+// Whether the entries of one request match the filters. Model and status are
+// logged at different stages, so they are checked across the whole request.
+export function requestMatches(entries, { requestId, model, status } = {}) {
+    if (requestId && !entries[0]?.request_id?.startsWith(requestId)) return false;
+    if (model && !entries.some(e => e.model === model || e.mapped_model === model)) return false;
+    if (status && !entries.some(e => e.stage === "completed" && String(e.status) === String(status))) return false;
+    return true;
+}
+
+// One line for a terminal: time, level, request, stage or message, then the other fields
+export function formatLogEntry(entry) {
+    const { ts, level, request_id: requestId, stage, msg, ...fields } = entry;
+    const extra = Object.entries(fields).map(([key, v]) => `${key}=${typeof v === "string" ? v : JSON.stringify(v)}`);
+    return [
+        ts ? ts.replace("T", " ").slice(0, 23) : "",
+        (level || "").padEnd(5),
+        requestId || "-",
+        stage || msg,
+        ...(stage && msg ? [msg] : []),
+        ...extra,
+    ].filter(Boolean).join("  ");
+}
@@ -0,0 +1,286 @@
+#!/usr/bin/env node
+/**
+ * Claude Code via Antigravity — Mock Upstream
+ *
+ * A stand-in for Google's Cloud Code Assist API, so the proxy can run without
+ * live endpoints. Point the proxy at it with
+ * PROXY_ENDPOINTS=http://localhost:51300.
+ *
+ * Usage:
+ *   node mock-upstream.mjs                          # Scripted fake server
+ *   node mock-upstream.mjs record <dir> [endpoint]  # Forward to the real API, save fixtures
+ *   node mock-upstream.mjs replay <dir>             # Serve saved fixtures back
+ *
+ * The scripted server echoes the last user message. A message starting with
+ * one of these commands triggers something else instead:
+ *   /tool <name> [json args]   reply with a function call (signed, like
+ *                              Gemini, when thinking is on)
+ *   /error <status>            fail with that HTTP status (429 carries a RetryInfo)
+ *   /stall                     send one chunk, then nothing
+ * Models listed in MOCK_RATE_LIMITED_MODELS (comma-separated) always answer
+ * 429, to exercise model fallbacks. Like the real API it caches prompt
+ * prefixes implicitly: the part of a prompt that earlier requests started with
+ * is reported as cachedContentTokenCount.
+ *
+ * Fixtures are one JSON file per exchange: the request with per-account and
+ * per-call values removed, and the raw response. Project IDs are saved as a
+ * placeholder, in requests and responses alike, and replayed as the project
+ * of whichever account asks. Fixtures contain the prompts that were sent —
+ * review them before sharing.
+ */
+
+import { createHash } from "node:crypto";
+import { createServer } from "node:http";
+import { writeFileSync, readFileSync, existsSync, mkdirSync } from "node:fs";
+import { join, resolve } from "node:path";
+
+const PORT = parseInt(process.env.MOCK_PORT || "51300", 10);
+const PROD_EP = "https://cloudcode-pa.googleapis.com";
+const RATE_LIMITED_MODELS = new Set((process.env.MOCK_RATE_LIMITED_MODELS || "").split(",").map(m => m.trim()).filter(Boolean));
+
+// Headers the proxy sends that the real API needs to see when recording
+const FORWARDED_HEADERS = ["authorization", "content-type", "accept", "user-agent", "x-goog-api-client", "client-metadata", "anthropic-beta"];
+
+// ── Fixtures ────────────────────────────────────────────────────────────
+
+const PROJECT_PLACEHOLDER = "recorded-project";
+
+// The Code Assist project a call names: `project` on generate calls,
+// cloudaicompanionProject / metadata.duetProject on loadCodeAssist and onboardUser
+function projectsOf(body) {
+    return [body?.project, body?.cloudaicompanionProject, body?.metadata?.duetProject].filter(p => typeof p === "string" && p);
+}
+
+// Drop what differs between accounts and between otherwise identical calls
+function sanitizeRequest(body) {
+    if (!body || typeof body !== "object") return body;
+    const { project, requestId, ...rest } = body;
+    if (rest.request?.sessionId) rest.request = { ...rest.request, sessionId: "session" };
+    if (rest.cloudaicompanionProject) rest.cloudaicompanionProject = PROJECT_PLACEHOLDER;
+    if (rest.metadata?.duetProject) rest.metadata = { ...rest.metadata, duetProject: PROJECT_PLACEHOLDER };
+    return rest;
+}
+
+// A response with the request's projects, and any project it assigns, replaced by the placeholder
+function sanitizeResponse(text, body) {
+    const assigned = [...text.matchAll(/"cloudaicompanionProject"\s*:\s*(?:"([^"]+)"|\{[^{}]*?"id"\s*:\s*"([^"]+)")/g)]
+        .map(m => m[1] || m[2]);
+    return [...projectsOf(body), ...assigned].reduce((t, project) => t.split(project).join(PROJECT_PLACEHOLDER), text);
+}
+
+// JSON with sorted keys, so equal requests always hash the same
+function canonical(value) {
+    if (Array.isArray(value)) return `[${value.map(canonical).join(",")}]`;
+    if (value && typeof value === "object") {
+        return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${canonical(value[k])}`).join(",")}}`;
+    }
+    return JSON.stringify(value);
+}
+
+function fixtureKey(method, request) {
+    // Tool call IDs the proxy made up itself are random; they don't identify the exchange
+    const text = canonical(request).replace(/toolu_[0-9a-f]{24}/g, "toolu_*").replace(/toolu_u\d+_/g, "toolu_u*_");
+    return createHash("sha256").update(`${method}\n${text}`).digest("hex").slice(0, 16);
+}
+
+const fixturePath = (dir, method, request) => join(dir, `${method}-${fixtureKey(method, request)}.json`);
+
+// ── HTTP helpers ────────────────────────────────────────────────────────
+
+function sendJson(res, status, data) {
+    res.writeHead(status, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(data));
+}
+
+function sendGoogleError(res, code, message, details = []) {
+    const status = { 400: "INVALID_ARGUMENT", 404: "NOT_FOUND", 429: "RESOURCE_EXHAUSTED", 503: "UNAVAILABLE" }[code] || "INTERNAL";
+    sendJson(res, code, { error: { code, message, status, details } });
+}
+
+async function readBody(req) {
+    const chunks = [];
+    for await (const chunk of req) chunks.push(chunk);
+    return Buffer.concat(chunks).toString();
+}
+
+// Write an SSE body event by event
+function sendSSE(res, status, events) {
+    res.writeHead(status, { "Content-Type": "text/event-stream" });
+    for (const event of events) res.write(event);
+    res.end();
+}
+
+const sseEvents = (text) => text.split(/(?<=\n\n)/).filter(e => e.trim());
+
+// ── Scripted fake ───────────────────────────────────────────────────────
+
+const quotaInfo = { remainingFraction: 1, resetTime: "2099-01-01T00:00:00Z" };
+const MODELS = {
+    "claude-opus-4-6-thinking": { displayName: "Claude Opus 4.6 (Thinking)", quotaInfo },
+    "claude-sonnet-4-5": { displayName: "Claude Sonnet 4.5", quotaInfo },
+    "claude-sonnet-4-5-thinking": { displayName: "Claude Sonnet 4.5 (Thinking)", quotaInfo },
+};
+
+const estimateTokens = (value) => Math.ceil(JSON.stringify(value ?? "").length / 4);
+
+const chunk = (parts, extra = {}) => `data: ${JSON.stringify({
+    response: { candidates: [{ content: { role: "model", parts }, ...extra.candidate }], ...extra.response },
+})}\n\n`;
+
+// Prefixes (system instruction, tools and the first n turns) of earlier prompts
+const seenPrefixes = new Set();
+let toolCalls = 0;
+function cachedTokens(request = {}) {
+    const { systemInstruction, tools, contents = [] } = request;
+    let cached = 0;
+    for (let n = 1; n <= contents.length; n++) {
+        const prefix = { systemInstruction, tools, contents: contents.slice(0, n) };
+        const key = createHash("sha256").update(canonical(prefix)).digest("hex");
+        if (seenPrefixes.has(key)) cached = estimateTokens(prefix);
+        else seenPrefixes.add(key);
+    }
+    return cached;
+}
+
+function scriptedGenerate(res, body) {
+    const contents = body?.request?.contents || [];
+    const last = contents[contents.length - 1];
+    const parts = last?.parts || [];
+    const text = parts.filter(p => typeof p.text === "string").map(p => p.text).join("\n").trim();
+    const results = parts.filter(p => p.functionResponse).length;
+
+    if (RATE_LIMITED_MODELS.has(body.model)) {
+        return sendGoogleError(res, 429, `mock: ${body.model} is rate limited`,
+            [{ "@type": "type.googleapis.com/google.rpc.RetryInfo", retryDelay: "60s" }]);
+    }
+    const [command, ...args] = text.split(/\s+/);
+    if (command === "/error") {
+        const code = parseInt(args[0], 10) || 500;
+        const details = code === 429 ? [{ "@type": "type.googleapis.com/google.rpc.RetryInfo", retryDelay: "1s" }] : [];
+        return sendGoogleError(res, code, `mock error ${code}`, details);
+    }
+
+    const events = [];
+    const thinking = !!body.request?.generationConfig?.thinkingConfig?.includeThoughts;
+    if (thinking) {
+        events.push(chunk([{ text: "Thinking about it.", thought: true }]));
+        // A function call carries the signature itself
+        if (command !== "/tool") events.push(chunk([{ text: "", thought: true, thoughtSignature: "mock-signature" }]));
+    }
+    if (command === "/stall") {
+        res.writeHead(200, { "Content-Type": "text/event-stream" });
+        res.write(chunk([{ text: "Stalling…" }]));
+        return;
+    }
+    if (command === "/tool") {
+        const raw = text.slice(text.indexOf(args[0]) + args[0].length).trim();
+        const call = { functionCall: { name: args[0], args: raw ? JSON.parse(raw) : {}, id: `mock-call-${++toolCalls}` } };
+        if (thinking) call.thoughtSignature = "mock-call-signature";
+        events.push(chunk([call]));
+    } else {
+        const reply = results ? `Got ${results} tool result(s).` : `Echo: ${text || "(empty)"}`;
+        for (const word of reply.split(/(?<= )/)) events.push(chunk([{ text: word }]));
+    }
+    const usageMetadata = {
+        promptTokenCount: estimateTokens(body.request),
+        candidatesTokenCount: estimateTokens(events),
+    };
+    const cached = cachedTokens(body.request);
+    if (cached) usageMetadata.cachedContentTokenCount = cached;
+    events.push(chunk([], { candidate: { finishReason: "STOP" }, response: { usageMetadata } }));
+    sendSSE(res, 200, events);
+}
+
+async function scripted(res, method, body) {
+    switch (method) {
+        case "streamGenerateContent": return scriptedGenerate(res, body);
+        case "countTokens": return sendJson(res, 200, { totalTokens: estimateTokens(body?.request?.contents) });
+        case "fetchAvailableModels": return sendJson(res, 200, { models: MODELS });
+        case "loadCodeAssist": return sendJson(res, 200, { cloudaicompanionProject: "mock-project", currentTier: { id: "standard-tier" } });
+        default: return sendGoogleError(res, 404, `mock: ${method} not implemented`);
+    }
+}
+
+// ── Record / replay ─────────────────────────────────────────────────────
+
+async function record(req, res, method, body, rawBody, dir, endpoint) {
+    const headers = {};
+    for (const name of FORWARDED_HEADERS) if (req.headers[name]) headers[name] = req.headers[name];
+    const upstream = await fetch(`${endpoint}${req.url}`, { method: "POST", headers, body: rawBody });
+
+    // Pass the response through as it arrives, keeping a copy
+    res.writeHead(upstream.status, { "Content-Type": upstream.headers.get("content-type") || "application/json" });
+    let text = "";
+    const decoder = new TextDecoder();
+    for await (const piece of upstream.body) {
+        text += decoder.decode(piece, { stream: true });
+        res.write(piece);
+    }
+    res.end();
+
+    const request = sanitizeRequest(body);
+    const file = fixturePath(dir, method, request);
+    writeFileSync(file, JSON.stringify({ method, request, status: upstream.status, response: sanitizeResponse(text, body) }, null, 2) + "\n");
+    console.log(`  recorded ${method} ${upstream.status} → ${file}`);
+}
+
+function replay(req, res, method, body, dir) {
+    const file = fixturePath(dir, method, sanitizeRequest(body));
+    if (!existsSync(file)) {
+        console.log(`  no fixture for ${method} (${file})`);
+        return sendGoogleError(res, 404, `mock: no fixture for ${method} at ${file}`);
+    }
+    const fixture = JSON.parse(readFileSync(file, "utf-8"));
+    console.log(`  replayed ${method} ${fixture.status} ← ${file}`);
+    const project = projectsOf(body)[0];
+    if (project) fixture.response = fixture.response.split(PROJECT_PLACEHOLDER).join(project);
+    if (fixture.response.startsWith("data:")) return sendSSE(res, fixture.status, sseEvents(fixture.response));
+    res.writeHead(fixture.status, { "Content-Type": "application/json" });
+    res.end(fixture.response);
+}
+
+// ── Server ──────────────────────────────────────────────────────────────
+
+function serve(mode, dir, endpoint) {
+    const server = createServer(async (req, res) => {
+        const method = new URL(req.url || "/", "http://localhost").pathname.match(/^\/v1internal:(\w+)$/)?.[1];
+        if (req.method !== "POST" || !method) return sendGoogleError(res, 404, `${req.method} ${req.url} not found`);
+
+        const rawBody = await readBody(req);
+        let body;
+        try { body = rawBody ? JSON.parse(rawBody) : {}; }
+        catch { return sendGoogleError(res, 400, "Invalid JSON payload"); }
+        console.log(`[${new Date().toISOString()}] ${method} ${body.model || ""}`);
+
+        try {
+            if (mode === "record") await record(req, res, method, body, rawBody, dir, endpoint);
+            else if (mode === "replay") replay(req, res, method, body, dir);
+            else await scripted(res, method, body);
+        } catch (err) {
+            console.error(`  ${err.message}`);
+            if (!res.headersSent) sendGoogleError(res, 500, err.message);
+            else res.end();
+        }
+    });
+    server.listen(PORT, () => {
+        console.log(`🧪 Mock upstream (${mode}) on http://localhost:${PORT}`);
+        if (dir) console.log(`   Fixtures: ${dir}`);
+        if (mode === "record") console.log(`   Forwarding to: ${endpoint}`);
+        console.log(`   Run the proxy with PROXY_ENDPOINTS=http://localhost:${PORT}`);
+    });
+}
+
+// ── CLI ─────────────────────────────────────────────────────────────────
+
+const [command, dirArg, endpointArg] = process.argv.slice(2);
+if (!command) {
+    serve("scripted");
+} else if ((command === "record" || command === "replay") && dirArg) {
+    const dir = resolve(dirArg);
+    if (command === "record") mkdirSync(dir, { recursive: true });
+    else if (!existsSync(dir)) { console.error(`❌ No fixture directory at ${dir}`); process.exit(1); }
+    serve(command, dir, (endpointArg || PROD_EP).replace(/\/+$/, ""));
+} else {
+    console.log("Usage: node mock-upstream.mjs [record <dir> [endpoint] | replay <dir>]");
+    process.exit(1);
+}
@@ -7,52 +7,301 @@
  * GitHub: https://github.com/SovranAMR/claude-code-via-antigravity
  */
 import http from "node:http";
-import { readFileSync, writeFileSync, appendFileSync } from "node:fs";
+import https from "node:https";
+import dns from "node:dns";
+import net from "node:net";
+import { AsyncLocalStorage } from "node:async_hooks";
+import { randomBytes, createHash } from "node:crypto";
+import { readFileSync, watchFile, existsSync } from "node:fs";
 import { homedir } from "node:os";
 import { join } from "node:path";
+import { CREDS_PATH, readAccounts, updateAccount, refreshAccessToken } from "./credentials.mjs";
+import { recordUsage, readLedger, summarizeUsage, USAGE_GROUPS } from "./usage.mjs";
+import { LOG_PATH, LOG_LEVELS, appendLog, redact } from "./logs.mjs";
+
+// ── Logging ─────────────────────────────────────────────────────────────
+// File-based logger — avoids polluting Claude Code's terminal. One JSON line
+// per event (see logs.mjs); lines logged while a request is being handled
+// carry its ID, which the request's context holds across awaits.
+const LOG_LEVEL = LOG_LEVELS.includes(process.env.PROXY_LOG_LEVEL) ? process.env.PROXY_LOG_LEVEL : "info";
+const LOG_MAX_BYTES = parseInt(process.env.PROXY_LOG_MAX_BYTES || String(10 * 1024 * 1024), 10);
+const LOG_FILES = parseInt(process.env.PROXY_LOG_FILES || "3", 10);
+// Log whole requests and responses, with credentials redacted
+const LOG_PAYLOADS = process.env.PROXY_LOG_PAYLOADS === "1";
+
+const requestContext = new AsyncLocalStorage(); // { id, startedAt, summary, usage }
+
+function writeLog(level, fields) {
+    if (LOG_LEVELS.indexOf(level) < LOG_LEVELS.indexOf(LOG_LEVEL)) return;
+    const request = requestContext.getStore();
+    const entry = { ts: new Date().toISOString(), level, ...(request && { request_id: request.id }), ...fields };
+    try { appendLog(JSON.stringify(entry), { maxBytes: LOG_MAX_BYTES, files: LOG_FILES }); } catch { }
+}
+
+const logMessage = (args) => args.map(a => typeof a === "string" ? a : JSON.stringify(a)).join(" ").trim();
+function log(...args) { writeLog("info", { msg: logMessage(args) }); }
+log.debug = (...args) => writeLog("debug", { msg: logMessage(args) });
+log.warn = (...args) => writeLog("warn", { msg: logMessage(args) });
+log.error = (...args) => writeLog("error", { msg: logMessage(args) });
+
+// A stage in the current request's life, timed from its arrival
+function trace(stage, fields = {}, level = "info") {
+    const request = requestContext.getStore();
+    writeLog(level, { stage, ...(request && { ms: Date.now() - request.startedAt }), ...fields });
+}
+
+// With PROXY_LOG_PAYLOADS, a full request or response body of the current request
+function capturePayload(kind, payload) {
+    if (LOG_PAYLOADS) trace("payload", { kind, payload: redact(payload) });
+}
+
+// ── Metrics ─────────────────────────────────────────────────────────────
+// Counters and histograms kept in memory since the start and served by
+// GET /metrics in the Prometheus text format. Request and token series carry
+// the client (API key name, or "local" without keys) so a shared proxy can
+// tell its users apart.
+
+const LATENCY_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300];
+
+const METRICS = {
+    antigravity_proxy_requests_total: {
+        type: "counter", help: "Completion requests, by API, model that served them, HTTP status and client",
+    },
+    antigravity_proxy_request_duration_seconds: {
+        type: "histogram", help: "Time from a completion request's arrival to the end of its response", buckets: LATENCY_BUCKETS,
+    },
+    antigravity_proxy_time_to_first_token_seconds: {
+        type: "histogram", help: "Time from a completion request's arrival to the first chunk of the upstream response", buckets: LATENCY_BUCKETS,
+    },
+    antigravity_proxy_tokens_total: {
+        type: "counter", help: "Tokens reported by upstream, by model, type (input, output, cached, thinking) and client",
+    },
+    antigravity_proxy_upstream_requests_total: {
+        type: "counter", help: "Calls to upstream endpoints, by method, endpoint and HTTP status (error: no response)",
+    },
+    antigravity_proxy_upstream_retries_total: {
+        type: "counter", help: "Backoff rounds after failed upstream calls, by method",
+    },
+    antigravity_proxy_fallbacks_total: {
+        type: "counter", help: "Requests moved down a fallback chain, by model that failed and model tried next",
+    },
+    antigravity_proxy_token_refreshes_total: {
+        type: "counter", help: "OAuth access token refreshes, by account and result",
+    },
+};
+const metricSeries = new Map(); // metric name → Map(label string → series)
+
+const escapeLabel = (value) => String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+const labelString = (labels) => Object.entries(labels).map(([key, value]) => `${key}="${escapeLabel(value)}"`).join(",");
+
+function seriesOf(name, labels) {
+    if (!metricSeries.has(name)) metricSeries.set(name, new Map());
+    const all = metricSeries.get(name);
+    const key = labelString(labels);
+    if (!all.has(key)) {
+        all.set(key, METRICS[name].type === "histogram"
+            ? { labels: key, counts: METRICS[name].buckets.map(() => 0), sum: 0, count: 0 }
+            : { labels: key, value: 0 });
+    }
+    return all.get(key);
+}
+
+function countMetric(name, labels = {}, by = 1) {
+    seriesOf(name, labels).value += by;
+}
 
-// File-based logger — avoids polluting Claude Code's terminal
-const LOG_PATH = join(homedir(), ".claude-code-via-antigravity-proxy.log");
-function log(...args) {
-    const line = args.map(a => typeof a === "string" ? a : JSON.stringify(a)).join(" ");
-    try { appendFileSync(LOG_PATH, `${line}\n`); } catch { }
+function observeMetric(name, labels, value) {
+    const series = seriesOf(name, labels);
+    // Buckets are cumulative: a value counts in every bucket it fits under
+    METRICS[name].buckets.forEach((le, i) => { if (value <= le) series.counts[i]++; });
+    series.sum += value;
+    series.count++;
+}
+
+// Text exposition of every metric, plus `gauges` sampled now: [{ name, help, samples: [{ labels, value }] }]
+function renderMetrics(gauges = []) {
+    const lines = [];
+    const braces = (labels) => labels ? `{${labels}}` : "";
+    for (const [name, { type, help, buckets }] of Object.entries(METRICS)) {
+        lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+        for (const series of metricSeries.get(name)?.values() || []) {
+            if (type !== "histogram") { lines.push(`${name}${braces(series.labels)} ${series.value}`); continue; }
+            const prefix = series.labels ? `${series.labels},` : "";
+            buckets.forEach((le, i) => lines.push(`${name}_bucket{${prefix}le="${le}"} ${series.counts[i]}`));
+            lines.push(`${name}_bucket{${prefix}le="+Inf"} ${series.count}`);
+            lines.push(`${name}_sum${braces(series.labels)} ${series.sum}`, `${name}_count${braces(series.labels)} ${series.count}`);
+        }
+    }
+    for (const { name, help, samples } of gauges) {
+        lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} gauge`);
+        for (const { labels = {}, value } of samples) lines.push(`${name}${braces(labelString(labels))} ${value}`);
+    }
+    return `${lines.join("\n")}\n`;
 }
 
 // ── Config ──────────────────────────────────────────────────────────────
 const PORT = parseInt(process.env.PROXY_PORT || "51200", 10);
-const CRED_PATH = join(homedir(), ".claude-code-via-antigravity-credentials.json");
+// Loopback only unless another address is asked for explicitly; binding
+// anywhere else requires API keys (see the config file's `server` section)
+const HOST = process.env.PROXY_HOST || "127.0.0.1";
+// Serve HTTPS when both are set (PEM file paths)
+const TLS_CERT = process.env.PROXY_TLS_CERT;
+const TLS_KEY = process.env.PROXY_TLS_KEY;
 const PROD_EP = "https://cloudcode-pa.googleapis.com";
 const SANDBOX_EP = "https://daily-cloudcode-pa.sandbox.googleapis.com";
-const ENDPOINTS = [PROD_EP, SANDBOX_EP];
+// Upstream endpoints, tried in order: the first is primary, the rest are
+// fallbacks. PROXY_ENDPOINTS overrides the config file's `endpoints`.
+const ENV_ENDPOINTS = process.env.PROXY_ENDPOINTS
+    ?.split(",").map(ep => ep.trim().replace(/\/+$/, "")).filter(Boolean);
 const ANTIGRAVITY_VERSION = "1.15.8";
 
+// Retry policy for 429/5xx: exponential backoff with full jitter, capped.
+// A Retry-After longer than PROXY_RETRY_MAX_WAIT_MS gives up instead of waiting.
+const MAX_RETRIES = parseInt(process.env.PROXY_MAX_RETRIES || "3", 10);
+const RETRY_BASE_MS = parseInt(process.env.PROXY_RETRY_BASE_MS || "1000", 10);
+const RETRY_MAX_MS = parseInt(process.env.PROXY_RETRY_MAX_MS || "16000", 10);
+const RETRY_MAX_WAIT_MS = parseInt(process.env.PROXY_RETRY_MAX_WAIT_MS || "30000", 10);
+
+// An upstream stream that sends nothing for this long is abandoned with a timeout_error
+const STREAM_IDLE_TIMEOUT_MS = parseInt(process.env.PROXY_STREAM_IDLE_TIMEOUT_MS || "180000", 10);
+
+// Heartbeat for streaming responses: a ping this often
+const PING_INTERVAL_MS = parseInt(process.env.PROXY_PING_INTERVAL_MS || "15000", 10);
+
+// Ask upstream to stream tool call arguments as they are generated. Off by
+// default: not every upstream model accepts streamFunctionCallArguments.
+const STREAM_TOOL_ARGS = process.env.PROXY_STREAM_TOOL_ARGS === "1";
+
+// A request over the model's context window is refused with "prompt is too
+// long". With this set, the largest tool results are cut down to their head
+// and tail first to make it fit.
+const SHRINK_TOOL_RESULTS = process.env.PROXY_SHRINK_TOOL_RESULTS === "1";
+
+// Largest image / document accepted (decoded size), as on the Anthropic API
+const MAX_IMAGE_BYTES = parseInt(process.env.PROXY_MAX_IMAGE_BYTES || String(5 * 1024 * 1024), 10);
+const MAX_DOCUMENT_BYTES = parseInt(process.env.PROXY_MAX_DOCUMENT_BYTES || String(32 * 1024 * 1024), 10);
+const MEDIA_FETCH_TIMEOUT_MS = 30000;
+// Media URLs on loopback, link-local and private networks are refused unless
+// this is set — otherwise any client could make the proxy probe its own network
+const ALLOW_PRIVATE_MEDIA_URLS = process.env.PROXY_ALLOW_PRIVATE_MEDIA_URLS === "1";
+
+// How long an account sits out after a 429 when upstream doesn't say
+const ACCOUNT_COOLDOWN_MS = parseInt(process.env.PROXY_ACCOUNT_COOLDOWN_MS || "60000", 10);
+
+// Circuit breaker: an endpoint that fails this many times in a row is skipped for the cooldown
+const BREAKER_THRESHOLD = parseInt(process.env.PROXY_BREAKER_THRESHOLD || "3", 10);
+const BREAKER_COOLDOWN_MS = parseInt(process.env.PROXY_BREAKER_COOLDOWN_MS || "60000", 10);
+
 // ── Credentials ─────────────────────────────────────────────────────────
-let creds;
-try { creds = JSON.parse(readFileSync(CRED_PATH, "utf-8")); }
-catch { console.error("❌ Cannot read", CRED_PATH); process.exit(1); }
-
-async function refreshToken() {
-    const res = await fetch("https://oauth2.googleapis.com/token", {
-        method: "POST",
-        headers: { "Content-Type": "application/x-www-form-urlencoded" },
-        body: new URLSearchParams({
-            client_id: creds.client_id,
-            client_secret: creds.client_secret,
-            refresh_token: creds.refresh_token,
-            grant_type: "refresh_token",
-        }),
-    });
-    const data = await res.json();
-    if (!data.access_token) throw new Error("Token refresh failed: " + JSON.stringify(data));
-    creds.access_token = data.access_token;
-    creds.expires_at = Date.now() + (data.expires_in || 3600) * 1000 - 300000;
-    writeFileSync(CRED_PATH, JSON.stringify(creds, null, 2));
-    return data.access_token;
+// The account pool managed by `setup.mjs`, read through credentials.mjs
+
+let accounts;
+try {
+    accounts = readAccounts();
+    if (accounts.length === 0) throw new Error("no accounts — run: node setup.mjs login");
+} catch (err) { console.error("❌ Cannot read", CREDS_PATH, `(${err.message})`); process.exit(1); }
+
+// Pick up accounts added or removed by `setup.mjs` without a restart
+watchFile(CREDS_PATH, { interval: 2000 }, () => {
+    try {
+        const reloaded = readAccounts();
+        if (reloaded.length === 0) return;
+        accounts = reloaded;
+        log(`[accounts] reloaded ${accounts.length} account(s)`);
+    } catch (err) {
+        log.warn("[accounts] reload failed:", err.message);
+    }
+});
+
+// Runtime-only state, keyed by email so it survives reloads
+// Quotas are per model, so cooldowns are too: model ("" for calls without one) → until
+const accountState = new Map(); // email → { cooldowns, refreshing, refreshFailure }
+
+function stateOf(account) {
+    if (!accountState.has(account.email)) accountState.set(account.email, { cooldowns: new Map(), refreshing: null, refreshFailure: null });
+    return accountState.get(account.email);
+}
+
+async function refreshToken(account) {
+    let tokens;
+    try {
+        tokens = await refreshAccessToken(account);
+        countMetric("antigravity_proxy_token_refreshes_total", { account: account.email, result: "ok" });
+        stateOf(account).refreshFailure = null;
+    } catch (err) {
+        countMetric("antigravity_proxy_token_refreshes_total", { account: account.email, result: "error" });
+        stateOf(account).refreshFailure = { message: err.message, at: Date.now() };
+        throw err;
+    }
+    Object.assign(account, tokens);
+    // Keep the new token for the next start; a failed write only costs a refresh then
+    try { updateAccount(account.email, tokens); } catch (err) { log.warn(`[accounts] could not save token for ${account.email}:`, err.message); }
+    return tokens.access_token;
+}
+
+async function getToken(account) {
+    if (Date.now() >= (account.expires_at || 0)) {
+        // Concurrent requests share one refresh per account
+        const state = stateOf(account);
+        state.refreshing ||= refreshToken(account).finally(() => { state.refreshing = null; });
+        await state.refreshing;
+    }
+    return account.access_token;
+}
+
+// ── Account selection ───────────────────────────────────────────────────
+// Requests from one conversation stick to one account so upstream prompt
+// caching keeps working; a 429 benches the account and the next healthy one
+// takes over.
+const STICKY_LIMIT = 1000;
+const stickyAccounts = new Map(); // conversation key → email
+let nextAccount = 0;
+
+// Claude Code sends a per-session metadata.user_id; otherwise fall back to a
+// hash of the system prompt and first message, which stay fixed in a conversation
+function conversationKey(anthropicReq) {
+    const userId = anthropicReq.metadata?.user_id;
+    if (typeof userId === "string" && userId) return userId;
+    const first = anthropicReq.messages?.[0];
+    const seed = JSON.stringify([anthropicReq.system ?? null, first?.content ?? null]).slice(0, 4096);
+    return createHash("sha256").update(seed).digest("hex").slice(0, 16);
+}
+
+const cooldownUntil = (account, model = "") => stateOf(account).cooldowns.get(model) || 0;
+const isHealthy = (account, model = "", now = Date.now()) => cooldownUntil(account, model) <= now;
+
+// Models an account is rate limited on right now
+function coolingModels(account, now = Date.now()) {
+    return [...stateOf(account).cooldowns].filter(([, until]) => until > now).map(([model]) => model || "(no model)");
 }
 
-async function getToken() {
-    if (Date.now() >= (creds.expires_at || 0)) await refreshToken();
-    return creds.access_token;
+function pickAccount(key, model = "", exclude = new Set()) {
+    const candidates = accounts.filter(a => !exclude.has(a.email));
+    if (candidates.length === 0) return null;
+    const healthy = candidates.filter(a => isHealthy(a, model));
+    if (healthy.length === 0) {
+        // Everyone is cooling down — use whoever comes back first and let backoff handle it
+        return candidates.reduce((a, b) => cooldownUntil(a, model) <= cooldownUntil(b, model) ? a : b);
+    }
+
+    const sticky = key && healthy.find(a => a.email === stickyAccounts.get(key));
+    const account = sticky || healthy[nextAccount++ % healthy.length];
+    if (key) {
+        stickyAccounts.delete(key);
+        stickyAccounts.set(key, account.email);
+        if (stickyAccounts.size > STICKY_LIMIT) stickyAccounts.delete(stickyAccounts.keys().next().value);
+    }
+    return account;
+}
+
+// Bench an account for one model; its other models stay available
+function coolDown(account, model, retryAfterMs) {
+    const ms = retryAfterMs ?? ACCOUNT_COOLDOWN_MS;
+    const { cooldowns } = stateOf(account);
+    const now = Date.now();
+    for (const [m, until] of cooldowns) if (until <= now) cooldowns.delete(m);
+    cooldowns.set(model, now + ms);
+    log.warn(`  [accounts] ${account.email} rate limited on ${model || "(no model)"} — cooling down for ${Math.round(ms / 1000)}s`);
 }
 
 // ── Model mapping ───────────────────────────────────────────────────────
@@ -75,8 +324,13 @@ const MODEL_MAP = {
 };
 
 function mapModel(anthropicModel) {
+    // Aliases from the config file win over the built-in map
+    const alias = config.aliases.find(a => a.regex.test(anthropicModel));
+    if (alias) return alias.value;
     // Try direct mapping
     if (MODEL_MAP[anthropicModel]) return MODEL_MAP[anthropicModel];
+    // Pass through IDs the account lists upstream (see /v1/models)
+    if (availableModels.models[anthropicModel]) return anthropicModel;
     // Try contains-based matching
     if (anthropicModel.includes("opus")) return "claude-opus-4-6-thinking";
     if (anthropicModel.includes("sonnet")) return "claude-sonnet-4-5-thinking";
@@ -88,6 +342,607 @@ function isThinkingModel(modelId) {
     return modelId.includes("thinking");
 }
 
+// Models to try, in order, when `modelId` is rate limited or unavailable
+function fallbackChain(modelId) {
+    const chain = config.fallbacks.find(f => f.regex.test(modelId))?.value || [];
+    return [...new Set(chain)].filter(m => m !== modelId);
+}
+
+// ── Config file ─────────────────────────────────────────────────────────
+// Optional JSON or YAML file, reloaded when it changes on disk:
+//
+//   {
+//     "models": {
+//       "aliases":  { "claude-haiku-*": "claude-sonnet-4-5" },
+//       "thinking": { "*opus*": { "ratio": 0.25, "min": 1024, "max": 10240 } },
+//       "fallbacks": { "claude-opus-4-6-thinking": ["claude-sonnet-4-5-thinking", "claude-sonnet-4-5"] },
+//       "context_windows": { "claude-*": 200000 }
+//     },
+//     "defaults":  { "max_tokens": 16384, "temperature": 1 },
+//     "endpoints": ["https://cloudcode-pa.googleapis.com"],
+//     "server": {
+//       "api_keys": ["sk-local", { "key": "sk-alice", "name": "alice", "requests_per_minute": 30 }],
+//       "cors_origins": ["https://tool.example.com"]
+//     }
+//   }
+//
+// Alias, thinking and fallback keys may use `*` wildcards and are matched in
+// file order; aliases are tried before the built-in MODEL_MAP. Fallback and
+// context window keys match the mapped Antigravity model ID. An invalid file is rejected
+// as a whole and the previous (or built-in) config stays in effect.
+const CONFIG_PATHS = process.env.PROXY_CONFIG ? [process.env.PROXY_CONFIG] : [".json", ".yaml", ".yml"]
+    .map(ext => join(homedir(), `.claude-code-via-antigravity-config${ext}`));
+
+// The first candidate that exists, looked up on every load so a file created
+// (or removed) while the proxy runs is picked up
+const configPath = () => CONFIG_PATHS.find(p => existsSync(p)) || null;
+
+const DEFAULT_THINKING_POLICY = { ratio: 0.25, min: 1024, max: 10240 };
+const DEFAULT_MAX_TOKENS = 16384;
+
+const CONFIG_SCHEMA = {
+    thinking: { ratio: "ratio", min: "count", max: "count", budget: "count" },
+    defaults: { max_tokens: "positive", temperature: "temperature", top_p: "ratio", top_k: "positive" },
+};
+
+function validateConfig(raw) {
+    const errors = [];
+    const isObject = v => v && typeof v === "object" && !Array.isArray(v);
+    const checkNumber = (path, value, kind) => {
+        const ok = typeof value === "number" && Number.isFinite(value) && {
+            ratio: value >= 0 && value <= 1,
+            count: Number.isInteger(value) && value >= 0,
+            positive: Number.isInteger(value) && value > 0,
+            temperature: value >= 0 && value <= 2,
+        }[kind];
+        if (!ok) {
+            const expected = {
+                ratio: "a number between 0 and 1", count: "a non-negative integer",
+                positive: "a positive integer", temperature: "a number between 0 and 2",
+            }[kind];
+            errors.push(`${path}: must be ${expected} (got ${JSON.stringify(value)})`);
+        }
+    };
+    const checkKeys = (path, obj, allowed) => {
+        for (const key of Object.keys(obj)) {
+            if (!allowed.includes(key)) errors.push(`${path}.${key}: unknown key (expected one of: ${allowed.join(", ")})`);
+        }
+    };
+
+    if (!isObject(raw)) return ["config: must be an object"];
+    checkKeys("config", raw, ["models", "defaults", "endpoints", "server"]);
+
+    if (raw.models !== undefined) {
+        if (!isObject(raw.models)) errors.push("models: must be an object");
+        else {
+            checkKeys("models", raw.models, ["aliases", "thinking", "fallbacks", "context_windows"]);
+            const { aliases, thinking, fallbacks, context_windows: contextWindows } = raw.models;
+            if (aliases !== undefined) {
+                if (!isObject(aliases)) errors.push("models.aliases: must be an object of pattern → model ID");
+                else for (const [pattern, target] of Object.entries(aliases)) {
+                    if (typeof target !== "string" || !target) errors.push(`models.aliases["${pattern}"]: must be a model ID string`);
+                }
+            }
+            if (thinking !== undefined) {
+                if (!isObject(thinking)) errors.push("models.thinking: must be an object of pattern → budget policy");
+                else for (const [pattern, policy] of Object.entries(thinking)) {
+                    const path = `models.thinking["${pattern}"]`;
+                    if (!isObject(policy)) { errors.push(`${path}: must be an object`); continue; }
+                    checkKeys(path, policy, Object.keys(CONFIG_SCHEMA.thinking));
+                    for (const [key, kind] of Object.entries(CONFIG_SCHEMA.thinking)) {
+                        if (policy[key] !== undefined) checkNumber(`${path}.${key}`, policy[key], kind);
+                    }
+                    if (typeof policy.min === "number" && typeof policy.max === "number" && policy.min > policy.max) {
+                        errors.push(`${path}: min (${policy.min}) is greater than max (${policy.max})`);
+                    }
+                }
+            }
+            if (fallbacks !== undefined) {
+                if (!isObject(fallbacks)) errors.push("models.fallbacks: must be an object of pattern → list of model IDs");
+                else for (const [pattern, chain] of Object.entries(fallbacks)) {
+                    if (!Array.isArray(chain) || chain.length === 0 || chain.some(m => typeof m !== "string" || !m)) {
+                        errors.push(`models.fallbacks["${pattern}"]: must be a non-empty list of model IDs`);
+                    }
+                }
+            }
+            if (contextWindows !== undefined) {
+                if (!isObject(contextWindows)) errors.push("models.context_windows: must be an object of pattern → input token limit");
+                else for (const [pattern, limit] of Object.entries(contextWindows)) {
+                    checkNumber(`models.context_windows["${pattern}"]`, limit, "positive");
+                }
+            }
+        }
+    }
+
+    if (raw.defaults !== undefined) {
+        if (!isObject(raw.defaults)) errors.push("defaults: must be an object");
+        else {
+            checkKeys("defaults", raw.defaults, Object.keys(CONFIG_SCHEMA.defaults));
+            for (const [key, kind] of Object.entries(CONFIG_SCHEMA.defaults)) {
+                if (raw.defaults[key] !== undefined) checkNumber(`defaults.${key}`, raw.defaults[key], kind);
+            }
+        }
+    }
+
+    if (raw.endpoints !== undefined) {
+        if (!Array.isArray(raw.endpoints) || raw.endpoints.length === 0) errors.push("endpoints: must be a non-empty list of URLs");
+        else raw.endpoints.forEach((ep, i) => {
+            if (typeof ep !== "string" || !/^https?:\/\/[^\s/]+/.test(ep)) errors.push(`endpoints[${i}]: must be an http(s) URL (got ${JSON.stringify(ep)})`);
+        });
+    }
+
+    if (raw.server !== undefined) {
+        if (!isObject(raw.server)) errors.push("server: must be an object");
+        else {
+            checkKeys("server", raw.server, ["api_keys", "cors_origins"]);
+            const { api_keys: apiKeys, cors_origins: origins } = raw.server;
+            if (apiKeys !== undefined && !Array.isArray(apiKeys)) errors.push("server.api_keys: must be a list");
+            else (apiKeys || []).forEach((entry, i) => {
+                const path = `server.api_keys[${i}]`;
+                if (typeof entry === "string") return;
+                if (!isObject(entry)) { errors.push(`${path}: must be a key string or an object with a key`); return; }
+                checkKeys(path, entry, ["key", "name", "requests_per_minute"]);
+                if (typeof entry.key !== "string" || !entry.key) errors.push(`${path}.key: must be a non-empty string`);
+                if (entry.name !== undefined && typeof entry.name !== "string") errors.push(`${path}.name: must be a string`);
+                if (entry.requests_per_minute !== undefined) checkNumber(`${path}.requests_per_minute`, entry.requests_per_minute, "positive");
+            });
+            if (origins !== undefined && (!Array.isArray(origins) || origins.some(o => typeof o !== "string"))) {
+                errors.push("server.cors_origins: must be a list of origins");
+            }
+        }
+    }
+    return errors;
+}
+
+// "claude-*-thinking" → /^claude-.*-thinking$/
+function wildcardToRegex(pattern) {
+    const escaped = pattern.split("*").map(s => s.replace(/[.+?^${}()|[\]\\]/g, "\\$&"));
+    return new RegExp(`^${escaped.join(".*")}$`);
+}
+
+function buildConfig(raw) {
+    const patterns = (obj = {}) => Object.entries(obj).map(([pattern, value]) => ({ pattern, regex: wildcardToRegex(pattern), value }));
+    return {
+        aliases: patterns(raw.models?.aliases),
+        thinking: patterns(raw.models?.thinking),
+        fallbacks: patterns(raw.models?.fallbacks),
+        contextWindows: patterns(raw.models?.context_windows),
+        defaults: { max_tokens: DEFAULT_MAX_TOKENS, ...raw.defaults },
+        endpoints: (raw.endpoints || [PROD_EP, SANDBOX_EP]).map(ep => ep.replace(/\/+$/, "")),
+        apiKeys: buildApiKeys(raw.server?.api_keys || []),
+        corsOrigins: (raw.server?.cors_origins || []).map(o => o.replace(/\/+$/, "")),
+    };
+}
+
+// Minimal YAML reader for config files: block mappings and sequences, quoted
+// and plain scalars, `[a, b]` flow lists and comments. Anchors, multi-line
+// strings and other advanced YAML are not supported.
+function parseYaml(text) {
+    const stripComment = (line) => {
+        let quote = null;
+        for (let i = 0; i < line.length; i++) {
+            const c = line[i];
+            if (quote) { if (c === quote) quote = null; }
+            else if (c === '"' || c === "'") quote = c;
+            else if (c === "#" && (i === 0 || /\s/.test(line[i - 1]))) return line.slice(0, i);
+        }
+        return line;
+    };
+    const lines = [];
+    text.split(/\r?\n/).forEach((raw, i) => {
+        const line = stripComment(raw).replace(/\s+$/, "");
+        if (!line.trim() || line.trim() === "---") return;
+        if (/^\s*\t/.test(line)) throw new Error(`line ${i + 1}: tabs are not allowed for indentation`);
+        lines.push({ indent: line.search(/\S/), text: line.trim(), line: i + 1 });
+    });
+
+    const scalar = (s) => {
+        if (s.startsWith('"')) return JSON.parse(s);
+        if (s.startsWith("'")) return s.slice(1, -1).replace(/''/g, "'");
+        if (s.startsWith("[")) {
+            const inner = s.slice(1, -1).trim();
+            return inner ? inner.split(",").map(v => scalar(v.trim())) : [];
+        }
+        if (/^\{\s*\}$/.test(s)) return {};
+        if (/^(true|false)$/.test(s)) return s === "true";
+        if (/^(null|~)$/.test(s)) return null;
+        if (/^-?\d+(\.\d+)?([eE][-+]?\d+)?$/.test(s)) return Number(s);
+        return s;
+    };
+    const keyPattern = /^("(?:[^"\\]|\\.)*"|'[^']*'|[^'"][^:]*?)\s*:(?:\s+(.*))?$/;
+    const isSeqItem = (text) => text === "-" || text.startsWith("- ");
+
+    let pos = 0;
+    const block = () => isSeqItem(lines[pos].text) ? sequence(lines[pos].indent) : mapping(lines[pos].indent);
+    const child = (indent) => pos < lines.length && (lines[pos].indent > indent || (lines[pos].indent === indent && isSeqItem(lines[pos].text)))
+        ? block() : null;
+
+    const sequence = (indent) => {
+        const items = [];
+        while (pos < lines.length && lines[pos].indent === indent && isSeqItem(lines[pos].text)) {
+            const { text, line } = lines[pos];
+            const rest = text.slice(1).trim();
+            if (!rest) { pos++; items.push(child(indent + 1)); continue; }
+            if (keyPattern.test(rest) && !/^["'[]/.test(rest)) {
+                // "- key: value" opens a mapping aligned with its first key
+                lines[pos] = { indent: indent + text.indexOf(rest), text: rest, line };
+                items.push(mapping(lines[pos].indent));
+            } else {
+                items.push(scalar(rest));
+                pos++;
+            }
+        }
+        return items;
+    };
+    const mapping = (indent) => {
+        const obj = {};
+        while (pos < lines.length && lines[pos].indent === indent && !isSeqItem(lines[pos].text)) {
+            const { text, line } = lines[pos];
+            const match = text.match(keyPattern);
+            if (!match) throw new Error(`line ${line}: expected "key: value"`);
+            const key = /^["']/.test(match[1]) ? scalar(match[1]) : match[1];
+            pos++;
+            obj[key] = match[2] !== undefined ? scalar(match[2]) : child(indent);
+        }
+        if (pos < lines.length && lines[pos].indent > indent) throw new Error(`line ${lines[pos].line}: unexpected indentation`);
+        return obj;
+    };
+
+    if (lines.length === 0) return {};
+    const result = block();
+    if (pos < lines.length) throw new Error(`line ${lines[pos].line}: unexpected indentation`);
+    return result;
+}
+
+function loadConfig(path) {
+    if (!path) return buildConfig({});
+    const text = readFileSync(path, "utf-8");
+    let raw;
+    try {
+        raw = /\.ya?ml$/i.test(path) ? parseYaml(text) : JSON.parse(text);
+    } catch (err) {
+        throw new Error(`${path}: cannot parse — ${err.message}`);
+    }
+    const errors = validateConfig(raw ?? {});
+    if (errors.length) throw new Error(`${path}: invalid config\n    ${errors.join("\n    ")}`);
+    return buildConfig(raw ?? {});
+}
+
+let config = buildConfig({});
+try {
+    const path = configPath();
+    config = loadConfig(path);
+    if (path) log(`[config] loaded ${path}`);
+} catch (err) {
+    console.error(`⚠️  ${err.message}\n   Using built-in defaults.`);
+    log.error("[config]", err.message);
+}
+
+// Every candidate is watched, so a file created under any of the names is picked up
+for (const candidate of CONFIG_PATHS) {
+    watchFile(candidate, { interval: 2000 }, (curr, prev) => {
+        if (!curr.mtimeMs && !prev.mtimeMs) return; // still missing
+        const path = configPath();
+        try {
+            config = loadConfig(path);
+            log(path ? `[config] reloaded ${path}` : "[config] no config file left — using built-in defaults");
+        } catch (err) {
+            log.error("[config] reload rejected, keeping previous config:", err.message);
+        }
+    });
+}
+
+function thinkingPolicy(modelId) {
+    const match = config.thinking.find(t => t.regex.test(modelId));
+    return { ...DEFAULT_THINKING_POLICY, ...match?.value };
+}
+
+// Input token limits for models the config file doesn't list
+const DEFAULT_CONTEXT_WINDOWS = [
+    { regex: /^claude-/, value: 200000 },
+    { regex: /^gemini-/, value: 1048576 },
+];
+
+// Input token limit of an upstream model, or null when unknown (not checked)
+function contextWindow(modelId) {
+    return [...config.contextWindows, ...DEFAULT_CONTEXT_WINDOWS].find(w => w.regex.test(modelId))?.value ?? null;
+}
+
+// ── Client authentication ───────────────────────────────────────────────
+// API keys come from PROXY_API_KEYS (comma-separated) and the config file's
+// server.api_keys, and are looked up by their SHA-256 rather than compared.
+// With no keys configured only loopback clients are let in.
+
+function hashKey(key) {
+    return createHash("sha256").update(key).digest("hex");
+}
+
+function buildApiKeys(entries) {
+    const keys = new Map(); // sha256(key) → { name, requestsPerMinute }
+    const envKeys = (process.env.PROXY_API_KEYS || "").split(",").map(k => k.trim()).filter(Boolean);
+    for (const entry of [...envKeys, ...entries]) {
+        const { key, name, requests_per_minute: rpm } = typeof entry === "string" ? { key: entry } : entry;
+        const hash = hashKey(key);
+        keys.set(hash, { name: name || `key-${hash.slice(0, 8)}`, requestsPerMinute: rpm ?? null });
+    }
+    return keys;
+}
+
+const isLoopback = (address = "") => address === "::1" || address === "localhost" ||
+    address.startsWith("127.") || address.startsWith("::ffff:127.");
+
+// The calling client ({ name, requestsPerMinute }), or null if it may not use the proxy
+function authenticate(req) {
+    if (config.apiKeys.size === 0) {
+        return isLoopback(req.socket.remoteAddress) ? { name: "local", requestsPerMinute: null } : null;
+    }
+    const header = req.headers["x-api-key"] || req.headers.authorization?.replace(/^Bearer\s+/i, "");
+    return (typeof header === "string" && header && config.apiKeys.get(hashKey(header))) || null;
+}
+
+// Per-key limits over a sliding one-minute window
+const clientRequests = new Map(); // client name → timestamps of recent requests
+
+// Milliseconds until the client may send another request; 0 counts this one
+function rateLimitWait(client) {
+    if (!client.requestsPerMinute) return 0;
+    const now = Date.now();
+    const recent = (clientRequests.get(client.name) || []).filter(t => t > now - 60000);
+    clientRequests.set(client.name, recent);
+    if (recent.length >= client.requestsPerMinute) return recent[0] + 60000 - now;
+    recent.push(now);
+    return 0;
+}
+
+// CORS is off unless the page's origin is listed in server.cors_origins.
+// Requests from any other origin are refused outright, so a web page can't
+// make the browser spend the subscription even without reading the reply.
+function allowOrigin(req, res) {
+    const origin = req.headers.origin;
+    if (!origin) return true;
+    if (!config.corsOrigins.includes(origin)) return false;
+    res.setHeader("Access-Control-Allow-Origin", origin);
+    res.setHeader("Vary", "Origin");
+    res.setHeader("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
+    res.setHeader("Access-Control-Allow-Headers", req.headers["access-control-request-headers"] || "*");
+    return true;
+}
+
+// ── Tool call IDs ───────────────────────────────────────────────────────
+// Anthropic tool_use IDs must match /^[a-zA-Z0-9_-]+$/. Upstream call IDs are
+// kept when they fit; otherwise a toolu_ ID is minted and remembered so the
+// matching tool_result goes back upstream under the original ID.
+//
+// A minted ID also carries the upstream ID itself (base64url), so the history
+// converts to the same upstream IDs after a restart or registry eviction —
+// otherwise the request prefix would change and miss the upstream cache.
+//
+// A thought signature that came on the call is kept here too: upstream wants
+// it back on that same functionCall part, not on a thought of its own.
+const TOOL_ID_PATTERN = /^[a-zA-Z0-9_-]+$/;
+const ENCODED_TOOL_ID = /^toolu_u\d+_([A-Za-z0-9_-]+)$/;
+const TOOL_ID_REGISTRY_LIMIT = 2000;
+const toolIdRegistry = new Map(); // tool_use id → { upstreamId, name, thoughtSignature }
+let mintedToolIds = 0;
+
+function registerToolCall(functionCall, thoughtSignature) {
+    const upstreamId = functionCall.id;
+    let id;
+    if (!upstreamId) id = `toolu_${randomBytes(12).toString("hex")}`;
+    else if (TOOL_ID_PATTERN.test(upstreamId) && !toolIdRegistry.has(upstreamId)) id = upstreamId;
+    // Not a valid Anthropic ID, or one upstream already used
+    else id = `toolu_u${++mintedToolIds}_${Buffer.from(upstreamId).toString("base64url")}`;
+    toolIdRegistry.set(id, { upstreamId: upstreamId || id, name: functionCall.name, thoughtSignature });
+    // Map preserves insertion order — evict the oldest entry
+    if (toolIdRegistry.size > TOOL_ID_REGISTRY_LIMIT) toolIdRegistry.delete(toolIdRegistry.keys().next().value);
+    return id;
+}
+
+function upstreamToolId(toolUseId) {
+    const registered = toolIdRegistry.get(toolUseId)?.upstreamId;
+    if (registered) return registered;
+    const encoded = typeof toolUseId === "string" && toolUseId.match(ENCODED_TOOL_ID);
+    return encoded ? Buffer.from(encoded[1], "base64url").toString() : toolUseId;
+}
+
+// ── Images and documents ────────────────────────────────────────────────
+
+const MEDIA_TYPES = {
+    image: ["image/jpeg", "image/png", "image/gif", "image/webp"],
+    document: ["application/pdf", "text/plain"],
+};
+const MEDIA_LIMITS = { image: MAX_IMAGE_BYTES, document: MAX_DOCUMENT_BYTES };
+const EXTENSION_TYPES = {
+    jpg: "image/jpeg", jpeg: "image/jpeg", png: "image/png", gif: "image/gif", webp: "image/webp",
+    pdf: "application/pdf", txt: "text/plain",
+};
+
+const mimeFromUrl = (url) => EXTENSION_TYPES[url.split(/[?#]/)[0].split(".").pop().toLowerCase()] || null;
+const base64Bytes = (data) => Math.floor(data.length * 3 / 4) - (data.match(/=*$/)[0].length);
+const formatBytes = (bytes) => bytes < 1024 * 1024
+    ? `${Math.ceil(bytes / 1024)} KB`
+    : `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+
+// `where` is the block's path in the request, for the error message
+function checkMedia(where, kind, mimeType, bytes) {
+    if (!MEDIA_TYPES[kind].includes(mimeType)) {
+        throw new InvalidRequestError(
+            `${where}.source.media_type: ${kind} type "${mimeType}" is not supported (expected one of ${MEDIA_TYPES[kind].join(", ")})`);
+    }
+    if (bytes > MEDIA_LIMITS[kind]) {
+        throw new InvalidRequestError(`${where}: ${kind} is ${formatBytes(bytes)}, over the ${formatBytes(MEDIA_LIMITS[kind])} limit`);
+    }
+}
+
+// Anthropic image/document block → Google parts
+function mediaBlockToParts(block, where) {
+    const kind = block.type;
+    const source = block.source || {};
+    const parts = [];
+    if (kind === "document" && (block.title || block.context)) {
+        parts.push({ text: [block.title && `Document: ${block.title}`, block.context].filter(Boolean).join("\n") });
+    }
+    switch (source.type) {
+        case "base64": {
+            const data = source.data || "";
+            if (!data) throw new InvalidRequestError(`${where}.source.data: must not be empty`);
+            checkMedia(where, kind, source.media_type, base64Bytes(data));
+            parts.push({ inlineData: { mimeType: source.media_type, data } });
+            break;
+        }
+        case "text": {
+            const text = String(source.data ?? "");
+            if (kind !== "document") throw new InvalidRequestError(`${where}.source.type: "text" is only valid for documents`);
+            checkMedia(where, kind, "text/plain", Buffer.byteLength(text));
+            parts.push({ text });
+            break;
+        }
+        case "content": {
+            // A document assembled from text and image blocks
+            const blocks = typeof source.content === "string" ? [{ type: "text", text: source.content }] : source.content || [];
+            blocks.forEach((b, i) => {
+                if (b?.type === "text") parts.push({ text: String(b.text ?? "") });
+                else if (b?.type === "image") parts.push(...mediaBlockToParts(b, `${where}.source.content.${i}`));
+            });
+            break;
+        }
+        case "url": {
+            // http(s) URLs were downloaded by resolveMediaUrls; Cloud Storage ones upstream reads itself
+            const url = String(source.url || "");
+            if (!url.startsWith("gs://")) throw new InvalidRequestError(`${where}.source.url: must be an http(s) or gs:// URL`);
+            const mimeType = mimeFromUrl(url);
+            if (!mimeType) throw new InvalidRequestError(`${where}.source.url: can't tell the media type of ${url} from its extension`);
+            checkMedia(where, kind, mimeType, 0);
+            parts.push({ fileData: { mimeType, fileUri: url } });
+            break;
+        }
+        case "file":
+            throw new InvalidRequestError(`${where}.source: Files API references are not supported by the Antigravity proxy`);
+        default:
+            throw new InvalidRequestError(`${where}.source.type: "${source.type}" is not supported`);
+    }
+    return parts;
+}
+
+// Images and documents in a tool_result, labelled with the tool they came from
+function toolResultMediaParts(toolResult, name, where) {
+    if (!Array.isArray(toolResult.content)) return [];
+    const parts = toolResult.content.flatMap((b, i) =>
+        b?.type === "image" || b?.type === "document" ? mediaBlockToParts(b, `${where}.content.${i}`) : []);
+    return parts.length ? [{ text: `Attached to the ${name} tool result:` }, ...parts] : [];
+}
+
+// Upstream can't fetch URLs, so http(s) image/document sources are downloaded
+// and sent inline. Conversations resend the same URLs every turn — keep a few.
+const MEDIA_CACHE_LIMIT = 32;
+const mediaCache = new Map(); // url → { mimeType, data }
+const MAX_MEDIA_REDIRECTS = 5;
+
+const PRIVATE_NETWORKS = new net.BlockList();
+for (const [network, prefix] of [
+    ["0.0.0.0", 8], ["10.0.0.0", 8], ["100.64.0.0", 10], ["127.0.0.0", 8], ["169.254.0.0", 16],
+    ["172.16.0.0", 12], ["192.168.0.0", 16], ["198.18.0.0", 15], ["224.0.0.0", 4], ["240.0.0.0", 4],
+]) PRIVATE_NETWORKS.addSubnet(network, prefix, "ipv4");
+for (const [network, prefix] of [["::", 127], ["fc00::", 7], ["fe80::", 10], ["ff00::", 8]]) {
+    PRIVATE_NETWORKS.addSubnet(network, prefix, "ipv6");
+}
+
+function isPrivateAddress(address) {
+    const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i)?.[1]; // IPv4-mapped IPv6
+    if (mapped) return PRIVATE_NETWORKS.check(mapped, "ipv4");
+    return PRIVATE_NETWORKS.check(address, net.isIPv6(address) ? "ipv6" : "ipv4");
+}
+
+// dns.lookup that fails for private addresses; used as the connection's own
+// lookup, so the address checked is the address connected to
+function publicLookup(hostname, options, callback) {
+    dns.lookup(hostname, options, (err, address, family) => {
+        if (err) return callback(err);
+        const blocked = (Array.isArray(address) ? address : [{ address }]).find(a => isPrivateAddress(a.address));
+        if (blocked) return callback(new Error(`${hostname} resolves to a private address (${blocked.address})`));
+        callback(null, address, family);
+    });
+}
+
+// GET a media URL, following redirects and checking every hop. Resolves to the response.
+async function requestMedia(url, signal, redirects = 0) {
+    const target = new URL(url);
+    if (!/^https?:$/.test(target.protocol)) throw new Error(`${target.protocol} URLs are not fetched`);
+    const host = target.hostname.replace(/^\[|\]$/g, "");
+    if (!ALLOW_PRIVATE_MEDIA_URLS && net.isIP(host) && isPrivateAddress(host)) throw new Error(`${host} is a private address`);
+    const resp = await new Promise((resolve, reject) => {
+        const client = target.protocol === "https:" ? https : http;
+        client.get(target, { signal, ...(!ALLOW_PRIVATE_MEDIA_URLS && { lookup: publicLookup }) }, resolve).on("error", reject);
+    });
+    if (resp.statusCode >= 300 && resp.statusCode < 400 && resp.headers.location) {
+        resp.resume();
+        if (redirects >= MAX_MEDIA_REDIRECTS) throw new Error("too many redirects");
+        return requestMedia(new URL(resp.headers.location, target).href, signal, redirects + 1);
+    }
+    return resp;
+}
+
+async function downloadMedia(url, kind, where) {
+    if (mediaCache.has(url)) return mediaCache.get(url);
+    const signal = AbortSignal.timeout(MEDIA_FETCH_TIMEOUT_MS);
+    let resp;
+    try { resp = await requestMedia(url, signal); }
+    catch (err) { throw new InvalidRequestError(`${where}.source.url: could not fetch ${url} (${err.message})`); }
+    if (resp.statusCode < 200 || resp.statusCode >= 300) {
+        resp.resume();
+        throw new InvalidRequestError(`${where}.source.url: fetching ${url} returned HTTP ${resp.statusCode}`);
+    }
+
+    // Servers often label files generically; fall back to the extension
+    let mimeType = (resp.headers["content-type"] || "").split(";")[0].trim().toLowerCase();
+    if (!MEDIA_TYPES[kind].includes(mimeType)) mimeType = mimeFromUrl(url) || mimeType;
+    try {
+        const declared = parseInt(resp.headers["content-length"] || "0", 10);
+        if (declared) checkMedia(where, kind, mimeType, declared);
+    } catch (err) {
+        resp.destroy();
+        throw err;
+    }
+    // Read no further than the limit, whatever the server declared
+    const chunks = [];
+    let bytes = 0;
+    try {
+        for await (const chunk of resp) {
+            bytes += chunk.length;
+            if (bytes > MEDIA_LIMITS[kind]) {
+                resp.destroy();
+                checkMedia(where, kind, mimeType, bytes);
+            }
+            chunks.push(chunk);
+        }
+    } catch (err) {
+        if (err instanceof InvalidRequestError) throw err;
+        throw new InvalidRequestError(`${where}.source.url: could not fetch ${url} (${err.message})`);
+    }
+    const buffer = Buffer.concat(chunks);
+    checkMedia(where, kind, mimeType, buffer.length);
+
+    const media = { mimeType, data: buffer.toString("base64") };
+    mediaCache.set(url, media);
+    if (mediaCache.size > MEDIA_CACHE_LIMIT) mediaCache.delete(mediaCache.keys().next().value);
+    return media;
+}
+
+// Replace http(s) URL sources (also inside tool results) with base64 ones
+async function resolveMediaUrls(anthropicReq) {
+    const visit = async (blocks, where) => {
+        if (!Array.isArray(blocks)) return;
+        for (const [i, block] of blocks.entries()) {
+            if (block?.type === "tool_result") await visit(block.content, `${where}.${i}.content`);
+            if (block?.type !== "image" && block?.type !== "document") continue;
+            if (block.source?.type !== "url" || !/^https?:\/\//i.test(block.source.url || "")) continue;
+            const media = await downloadMedia(block.source.url, block.type, `${where}.${i}`);
+            block.source = { type: "base64", media_type: media.mimeType, data: media.data };
+        }
+    };
+    for (const [i, msg] of (anthropicReq.messages || []).entries()) await visit(msg?.content, `messages.${i}.content`);
+}
+
 // ── Anthropic → Google format conversion ────────────────────────────────
 
 // Safely extract text from tool_result content (string, array, or object)
@@ -96,18 +951,106 @@ function extractText(content) {
     if (typeof content === "string") return content || "(empty)";
     if (Array.isArray(content)) {
         const texts = content.filter(b => b?.type === "text").map(b => b.text);
+        if (!texts.length && content.some(b => b?.type === "image" || b?.type === "document")) return "(see attachment)";
         return texts.join("\n") || "(empty)";
     }
     return JSON.stringify(content);
 }
 
-function convertAnthropicToGoogle(anthropicReq) {
-    const googleModel = mapModel(anthropicReq.model);
+// Rebuild a Google thought part from an Anthropic thinking/redacted_thinking block.
+// Upstream only accepts thoughts it signed itself, so unsigned blocks are dropped.
+function thinkingBlockToPart(block) {
+    if (block.type === "redacted_thinking") {
+        if (!block.data) return null;
+        return { text: "", thought: true, thoughtSignature: block.data };
+    }
+    if (!block.signature) return null;
+    return { text: String(block.thinking || ""), thought: true, thoughtSignature: block.signature };
+}
+
+// Rejected the way the Anthropic API would: 400 invalid_request_error
+class InvalidRequestError extends Error { }
+
+// Parameters and server tools this proxy has no Google equivalent for
+const UNSUPPORTED_PARAMS = ["mcp_servers", "container"];
+
+function validateAnthropicRequest(anthropicReq) {
+    for (const param of UNSUPPORTED_PARAMS) {
+        if (anthropicReq[param] !== undefined) {
+            throw new InvalidRequestError(`${param}: not supported by the Antigravity proxy`);
+        }
+    }
+    const tools = anthropicReq.tools || [];
+    tools.forEach((tool, i) => {
+        // Client tools have no type (or "custom"); typed ones run on Anthropic's servers
+        if (tool?.type && tool.type !== "custom") {
+            throw new InvalidRequestError(`tools.${i}: server tool "${tool.type}" is not supported by the Antigravity proxy`);
+        }
+    });
+    for (const [param, min, max] of [["top_p", 0, 1], ["top_k", 1, Infinity], ["temperature", 0, 1]]) {
+        const value = anthropicReq[param];
+        if (value !== undefined && (typeof value !== "number" || value < min || value > max)) {
+            throw new InvalidRequestError(`${param}: must be a number between ${min} and ${max}`);
+        }
+    }
+    if (anthropicReq.stop_sequences !== undefined &&
+        (!Array.isArray(anthropicReq.stop_sequences) || anthropicReq.stop_sequences.some(s => typeof s !== "string"))) {
+        throw new InvalidRequestError("stop_sequences: must be a list of strings");
+    }
+
+    const choice = anthropicReq.tool_choice;
+    if (choice === undefined) return;
+    if (!["auto", "any", "tool", "none"].includes(choice?.type)) {
+        throw new InvalidRequestError(`tool_choice.type: must be one of "auto", "any", "tool" or "none"`);
+    }
+    if ((choice.type === "any" || choice.type === "tool") && tools.length === 0) {
+        throw new InvalidRequestError(`tool_choice: "${choice.type}" requires tools`);
+    }
+    if (choice.type === "tool" && !tools.some(t => t.name === choice.name)) {
+        throw new InvalidRequestError(`tool_choice.name: no tool named "${choice.name}"`);
+    }
+}
+
+// Anthropic tool_choice → Google toolConfig.functionCallingConfig
+function convertToolChoice(choice) {
+    switch (choice.type) {
+        case "any": return { mode: "ANY" };
+        case "tool": return { mode: "ANY", allowedFunctionNames: [choice.name] };
+        case "none": return { mode: "NONE" };
+        default: return { mode: "AUTO" };
+    }
+}
+
+// Claude Code's metadata.user_id embeds the session ("…_session_<uuid>");
+// other clients' user IDs are used whole
+function sessionIdFrom(userId) {
+    if (typeof userId !== "string" || !userId) return null;
+    return userId.match(/_session_([0-9a-f-]+)$/i)?.[1] || userId;
+}
+
+// `model` overrides the mapped model, e.g. for a fallback. Requests over the
+// model's context window are refused unless `checkContext` is off.
+function convertAnthropicToGoogle(anthropicReq, model = null, { checkContext = true } = {}) {
+    validateAnthropicRequest(anthropicReq);
+    const googleModel = model || mapModel(anthropicReq.model);
+    const keepThinking = isThinkingModel(googleModel);
     const rawContents = [];
 
-    // Convert messages
+    // Index every tool_use in the history so tool_results can be answered with
+    // the real function name, in the order the calls were made
+    const toolUses = new Map(); // tool_use id → { name, order }
     for (const msg of (anthropicReq.messages || [])) {
+        if (msg?.role !== "assistant" || !Array.isArray(msg.content)) continue;
+        for (const block of msg.content) {
+            if (block?.type === "tool_use") toolUses.set(block.id, { name: block.name, order: toolUses.size });
+        }
+    }
+    const toolOrder = (tr) => toolUses.get(tr.tool_use_id)?.order ?? Infinity;
+
+    // Convert messages
+    for (const [msgIndex, msg] of (anthropicReq.messages || []).entries()) {
         if (!msg) continue;
+        const where = `messages.${msgIndex}.content`;
 
         const role = msg.role === "assistant" ? "model" : "user";
 
@@ -115,15 +1058,23 @@ function convertAnthropicToGoogle(anthropicReq) {
         if (Array.isArray(msg.content)) {
             const toolResults = msg.content.filter(b => b?.type === "tool_result");
             if (toolResults.length > 0) {
-                // Build function response parts
-                const toolParts = toolResults.map(tr => ({
-                    functionResponse: {
-                        name: tr.tool_use_id || "unknown",
-                        id: tr.tool_use_id,
-                        response: { output: extractText(tr.content) },
-                    },
-                }));
-                rawContents.push({ role: "user", parts: toolParts });
+                // Build function response parts, paired with their calls by ID
+                const toolParts = [];
+                const mediaParts = [];
+                for (const tr of [...toolResults].sort((a, b) => toolOrder(a) - toolOrder(b))) {
+                    const name = toolUses.get(tr.tool_use_id)?.name || toolIdRegistry.get(tr.tool_use_id)?.name;
+                    if (!name) log(`  [tools] no tool_use found for tool_result ${tr.tool_use_id}`);
+                    toolParts.push({
+                        functionResponse: {
+                            name: name || "unknown",
+                            id: upstreamToolId(tr.tool_use_id),
+                            response: { output: extractText(tr.content) },
+                        },
+                    });
+                    // Function responses carry text only; images and documents follow them
+                    mediaParts.push(...toolResultMediaParts(tr, name || "unknown", `${where}.${msg.content.indexOf(tr)}`));
+                }
+                rawContents.push({ role: "user", parts: [...toolParts, ...mediaParts] });
 
                 // Also collect non-tool-result text from this message
                 const textBlocks = msg.content.filter(b => b?.type === "text" && b.text);
@@ -139,7 +1090,7 @@ function convertAnthropicToGoogle(anthropicReq) {
         if (typeof msg.content === "string") {
             if (msg.content) parts.push({ text: msg.content });
         } else if (Array.isArray(msg.content)) {
-            for (const block of msg.content) {
+            for (const [blockIndex, block] of msg.content.entries()) {
                 if (!block) continue;
 
                 switch (block.type) {
@@ -149,25 +1100,32 @@ function convertAnthropicToGoogle(anthropicReq) {
                         }
                         break;
                     case "thinking":
-                        // Drop thinking blocks — internal Claude reasoning
+                    case "redacted_thinking": {
+                        // Only thinking models can take thoughts back; others would reject them
+                        if (role !== "model" || !keepThinking) break;
+                        const thoughtPart = thinkingBlockToPart(block);
+                        if (thoughtPart) parts.push(thoughtPart);
+                        else log(`  [thinking] dropped unsigned ${block.type} block`);
                         break;
+                    }
                     case "image":
-                        parts.push({
-                            inlineData: {
-                                mimeType: block.source?.media_type || "image/png",
-                                data: block.source?.data || "",
-                            },
-                        });
+                    case "document":
+                        parts.push(...mediaBlockToParts(block, `${where}.${blockIndex}`));
                         break;
-                    case "tool_use":
-                        parts.push({
+                    case "tool_use": {
+                        const part = {
                             functionCall: {
                                 name: block.name,
                                 args: block.input || {},
-                                id: block.id,
+                                id: upstreamToolId(block.id),
                             },
-                        });
+                        };
+                        // The call's own signature goes back on it (thinking models only, like thoughts)
+                        const thoughtSignature = role === "model" && keepThinking && toolIdRegistry.get(block.id)?.thoughtSignature;
+                        if (thoughtSignature) part.thoughtSignature = thoughtSignature;
+                        parts.push(part);
                         break;
+                    }
                     default:
                         // Unknown block type — safe text fallback
                         const txt = block.text || block.content;
@@ -179,10 +1137,11 @@ function convertAnthropicToGoogle(anthropicReq) {
 
         // Sanitize: only keep valid parts
         const sanitizedParts = parts.filter(p => {
+            if (p.thought) return typeof p.text === "string" && !!p.thoughtSignature;
             if (p.text !== undefined) return typeof p.text === "string" && p.text.length > 0;
             if (p.functionCall) return true;
             if (p.functionResponse) return true;
-            if (p.inlineData) return true;
+            if (p.inlineData || p.fileData) return true;
             return false;
         });
 
@@ -224,14 +1183,18 @@ function convertAnthropicToGoogle(anthropicReq) {
 
     // Generation config
     const generationConfig = {};
-    const rawMaxTokens = anthropicReq.max_tokens || 16384;
+    const { defaults } = config;
+    const rawMaxTokens = anthropicReq.max_tokens || defaults.max_tokens;
 
     // Dynamic thinking config for thinking models
     if (isThinkingModel(googleModel)) {
-        // Use Claude Code's budget if provided, otherwise scale dynamically:
-        // 25% of max_tokens, clamped between 1024 and 10240
+        // Use Claude Code's budget if provided, otherwise the model's policy:
+        // a fixed budget, or a share of max_tokens clamped to [min, max]
+        // (default 25% of max_tokens, clamped between 1024 and 10240)
         const clientBudget = anthropicReq.thinking?.budget_tokens;
-        const dynamicBudget = Math.min(10240, Math.max(1024, Math.floor(rawMaxTokens * 0.25)));
+        const policy = thinkingPolicy(googleModel);
+        const dynamicBudget = policy.budget
+            ?? Math.min(policy.max, Math.max(policy.min, Math.floor(rawMaxTokens * policy.ratio)));
         const thinkingBudget = clientBudget || dynamicBudget;
 
         // CRITICAL: maxOutputTokens MUST be greater than thinkingBudget
@@ -241,11 +1204,19 @@ function convertAnthropicToGoogle(anthropicReq) {
             includeThoughts: true,
             thinkingBudget,
         };
-        log(`  [thinking] budget=${thinkingBudget}${clientBudget ? ' (from client)' : ' (auto)'} maxOut=${maxOutputTokens}`);
+        log.debug(`  [thinking] budget=${thinkingBudget}${clientBudget ? ' (from client)' : ' (auto)'} maxOut=${maxOutputTokens}`);
     } else {
         generationConfig.maxOutputTokens = rawMaxTokens;
     }
-    if (anthropicReq.temperature !== undefined) generationConfig.temperature = anthropicReq.temperature;
+    const temperature = anthropicReq.temperature ?? defaults.temperature;
+    if (temperature !== undefined) generationConfig.temperature = temperature;
+    const topP = anthropicReq.top_p ?? defaults.top_p;
+    if (topP !== undefined) generationConfig.topP = topP;
+    const topK = anthropicReq.top_k ?? defaults.top_k;
+    if (topK !== undefined) generationConfig.topK = topK;
+    // stop_sequences are not sent as stopSequences: upstream would stop before
+    // the sequence and report a plain STOP, losing which one matched. The
+    // converters scan the output for them and cancel the upstream call instead.
 
     if (Object.keys(generationConfig).length > 0) {
         request.generationConfig = generationConfig;
@@ -256,21 +1227,34 @@ function convertAnthropicToGoogle(anthropicReq) {
         const isClaude = googleModel.startsWith("claude-");
         request.tools = [{
             functionDeclarations: anthropicReq.tools.map(tool => {
-                const cleaned = ensureSchemaType(sanitizeSchema(stripDollarSchema(tool.input_schema || {})));
+                const cleaned = translateToolSchema(tool, isClaude ? "claude" : "gemini");
                 return {
                     name: tool.name,
                     description: tool.description || "",
                     // Claude: `parameters` (passes through to Anthropic input_schema)
-                    // Gemini: `parametersJsonSchema` (full JSON Schema support)
-                    // Both need sanitization because Google protobuf layer rejects unknown fields
+                    // Gemini: `parametersJsonSchema`
+                    // Both need translation because Google protobuf layer rejects unknown fields
                     ...(isClaude ? { parameters: cleaned } : { parametersJsonSchema: cleaned }),
                 };
             }),
         }];
     }
+    if (anthropicReq.tool_choice && request.tools) {
+        request.toolConfig = { functionCallingConfig: convertToolChoice(anthropicReq.tool_choice) };
+    }
+    if (STREAM_TOOL_ARGS && anthropicReq.stream && request.tools && anthropicReq.tool_choice?.type !== "none") {
+        request.toolConfig ??= { functionCallingConfig: {} };
+        request.toolConfig.functionCallingConfig.streamFunctionCallArguments = true;
+    }
+
+    // Session identifier lets upstream group the turns of one conversation
+    const sessionId = sessionIdFrom(anthropicReq.metadata?.user_id);
+    if (sessionId) request.sessionId = sessionId;
 
+    if (checkContext) checkContextWindow(request, googleModel);
+
+    // `project` is filled in per account when the request is sent
     const body = {
-        project: creds.project_id,
         model: googleModel,
         request,
         requestType: "agent",
@@ -281,141 +1265,448 @@ function convertAnthropicToGoogle(anthropicReq) {
     return body;
 }
 
-// Strip only $schema (and other $-prefixed meta fields) from schemas
-// Keep everything else intact for Claude's full JSON Schema support
-function stripDollarSchema(schema) {
-    if (!schema || typeof schema !== "object") return schema;
-    if (Array.isArray(schema)) return schema.map(stripDollarSchema);
-    const clean = {};
-    for (const [key, value] of Object.entries(schema)) {
-        if (key.startsWith("$")) continue; // strip $schema, $id, $ref, $comment etc.
-        if (typeof value === "object" && value !== null) {
-            clean[key] = stripDollarSchema(value);
-        } else {
-            clean[key] = value;
-        }
-    }
-    return clean;
-}
+// ── Tool schema translation ─────────────────────────────────────────────
+// MCP tools send full JSON Schema. Google's function declarations take a
+// protobuf Schema that rejects unknown fields, so each input_schema is:
+//   1. $ref-resolved — local refs (#/$defs/..., #/definitions/...) are inlined,
+//      recursive refs are cut off after one level
+//   2. normalized — `type: [T, "null"]` and `anyOf: [T, {type: "null"}]`
+//      become `nullable: true`, `const` becomes a one-value enum, allOf is merged
+//   3. narrowed to what the target accepts:
+//      - claude: keeps real unions (anyOf) and validation keywords
+//      - gemini: no unions — variants are merged into the closest single
+//        schema and dropped constraints are spelled out in the description
+// Whatever can't be carried over is logged once per tool.
+
+const CLAUDE_SCHEMA_FIELDS = new Set([
+    "type", "description", "properties", "required", "items", "enum", "nullable", "anyOf",
+    "format", "title", "default", "minimum", "maximum", "minLength", "maxLength", "pattern",
+    "minItems", "maxItems", "minProperties", "maxProperties",
+]);
 
 // Only keep fields that Google's protobuf Schema type supports
 const ALLOWED_SCHEMA_FIELDS = new Set([
     "type", "description", "properties", "required", "items", "enum", "nullable",
 ]);
 
-function sanitizeSchema(schema) {
-    if (!schema || typeof schema !== "object") return schema;
-    if (Array.isArray(schema)) return schema.map(sanitizeSchema);
+// Constraints Gemini can't take as fields — kept as a hint in the description
+const DESCRIBED_CONSTRAINTS = [
+    "format", "minimum", "maximum", "exclusiveMinimum", "exclusiveMaximum", "minLength", "maxLength",
+    "pattern", "minItems", "maxItems", "uniqueItems", "default",
+];
 
-    // Flatten anyOf/oneOf: pick the most descriptive variant or merge
-    let working = schema;
-    if (working.anyOf || working.oneOf) {
-        const variants = (working.anyOf || working.oneOf).filter(v => v && typeof v === "object");
-        if (variants.length === 1) {
-            // Single variant — use it directly, merge description from parent
-            working = { ...variants[0], ...(working.description ? { description: working.description } : {}) };
-        } else if (variants.length > 1) {
-            // Multiple variants — try to find the most specific one (has enum or properties)
-            const specific = variants.find(v => v.enum || v.properties);
-            if (specific) {
-                working = { ...specific, ...(working.description ? { description: working.description } : {}) };
-            } else {
-                // No specific variant — just use the first one
-                working = { ...variants[0], ...(working.description ? { description: working.description } : {}) };
-            }
+// Dropping these never changes which inputs are valid enough to be worth a log line
+const SILENTLY_DROPPED = new Set([
+    "title", "examples", "deprecated", "readOnly", "writeOnly", "$comment", "$schema", "$id", "$anchor",
+]);
+
+function resolveJsonPointer(root, ref) {
+    if (!ref.startsWith("#")) return undefined;
+    const path = ref.slice(1).split("/").slice(1)
+        .map(seg => decodeURIComponent(seg).replace(/~1/g, "/").replace(/~0/g, "~"));
+    let node = root;
+    for (const seg of path) {
+        if (!node || typeof node !== "object" || !(seg in node)) return undefined;
+        node = node[seg];
+    }
+    return node;
+}
+
+// Inline local $refs and drop definitions and other $-keywords.
+// `stack` holds the refs being expanded on the current path (cycle detection).
+function resolveRefs(node, root, losses, path = "", stack = []) {
+    if (!node || typeof node !== "object") return node;
+    if (Array.isArray(node)) return node.map((n, i) => resolveRefs(n, root, losses, `${path}[${i}]`, stack));
+
+    if (typeof node.$ref === "string") {
+        const { $ref: ref, ...siblings } = node;
+        const name = ref.split("/").pop();
+        if (stack.includes(ref)) {
+            losses.push(`${path || "/"}: recursive $ref ${ref} cut off`);
+            return { type: "object", description: siblings.description || `${name} (recursive, see above)` };
         }
+        const target = resolveJsonPointer(root, ref);
+        if (!target || typeof target !== "object") {
+            losses.push(`${path || "/"}: unresolved $ref ${ref}`);
+            return { ...resolveRefs(siblings, root, losses, path, stack), ...(siblings.type ? {} : { type: "object" }) };
+        }
+        return resolveRefs({ ...target, ...siblings }, root, losses, path, [...stack, ref]);
     }
 
-    const clean = {};
-    for (const [key, value] of Object.entries(working)) {
-        if (!ALLOWED_SCHEMA_FIELDS.has(key)) continue;
-        if (key === "properties" && typeof value === "object") {
-            clean.properties = Object.fromEntries(
-                Object.entries(value).map(([k, v]) => [k, sanitizeSchema(v)])
-            );
-        } else if (key === "items") {
-            clean.items = sanitizeSchema(value);
+    const out = {};
+    for (const [key, value] of Object.entries(node)) {
+        if (key.startsWith("$") || key === "definitions") continue;
+        if ((key === "properties" || key === "patternProperties") && value && typeof value === "object") {
+            out[key] = Object.fromEntries(Object.entries(value).map(([k, v]) =>
+                [k, resolveRefs(v, root, losses, `${path}.${k}`, stack)]));
+        } else if (["items", "additionalProperties", "not", "anyOf", "oneOf", "allOf", "prefixItems"].includes(key)) {
+            out[key] = resolveRefs(value, root, losses, `${path}.${key}`, stack);
         } else {
-            clean[key] = value;
+            out[key] = value;
         }
     }
-    return clean;
+    return out;
 }
 
-function ensureSchemaType(schema) {
-    if (!schema || typeof schema !== "object") return schema;
-    if (Array.isArray(schema)) return schema.map(ensureSchemaType);
+const isNullSchema = (s) => s?.type === "null" || (Array.isArray(s?.enum) && s.enum.length === 1 && s.enum[0] === null);
 
-    const s = { ...schema };
-
-    // Default type if missing
-    if (!s.type) {
-        if (s.properties) s.type = "object";
-        else if (s.items) s.type = "array";
-        else if (s.enum) s.type = "string";
-        else s.type = "object";
+// Merge union variants into one schema for targets without anyOf
+function mergeVariants(variants, losses, path) {
+    const types = [...new Set(variants.map(v => v.type || (v.properties ? "object" : v.items ? "array" : "string")))];
+    if (types.length === 1 && types[0] === "object") {
+        // Objects: union of properties; only what every variant requires stays required
+        const properties = {};
+        for (const v of variants) {
+            for (const [k, p] of Object.entries(v.properties || {})) properties[k] ??= p;
+        }
+        const required = (variants[0].required || []).filter(r => variants.every(v => (v.required || []).includes(r)));
+        losses.push(`${path || "/"}: ${variants.length} object variants merged into one`);
+        const descriptions = variants.map(v => v.description).filter(Boolean);
+        return {
+            type: "object", properties,
+            ...(required.length ? { required } : {}),
+            ...(descriptions.length ? { description: `One of: ${descriptions.join(" | ")}` } : {}),
+        };
+    }
+    if (types.length === 1) {
+        const enums = variants.every(v => Array.isArray(v.enum)) ? [...new Set(variants.flatMap(v => v.enum))] : null;
+        if (!enums) losses.push(`${path || "/"}: ${variants.length} ${types[0]} variants collapsed to the first`);
+        return { ...variants[0], ...(enums ? { enum: enums } : {}) };
+    }
+    // Mixed types: keep the most specific variant and say what else is accepted
+    const chosen = variants.find(v => v.enum || v.properties) || variants[0];
+    const others = types.filter(t => t !== (chosen.type || types[0]));
+    losses.push(`${path || "/"}: union of ${types.join(" | ")} reduced to ${chosen.type || types[0]}`);
+    return {
+        ...chosen,
+        description: [chosen.description, `Also accepts: ${others.join(", ")}`].filter(Boolean).join(". "),
+    };
+}
+
+function normalizeSchema(node, flavour, losses, path = "") {
+    if (!node || typeof node !== "object" || Array.isArray(node)) return { type: "object" };
+    let s = { ...node };
+
+    // allOf: fold every part into the schema itself
+    if (Array.isArray(s.allOf)) {
+        const { allOf, ...rest } = s;
+        s = rest;
+        for (const part of allOf.filter(p => p && typeof p === "object")) {
+            s = {
+                ...part, ...s,
+                properties: { ...part.properties, ...s.properties },
+                required: [...new Set([...(s.required || []), ...(part.required || [])])],
+            };
+        }
+        if (!Object.keys(s.properties).length) delete s.properties;
+        if (!s.required.length) delete s.required;
+    }
+
+    // type: ["string", "null"] → nullable; several real types → a union
+    if (Array.isArray(s.type)) {
+        const types = s.type.filter(t => t !== "null");
+        if (types.length < s.type.length) s.nullable = true;
+        if (types.length <= 1) s.type = types[0] || "string";
+        else {
+            const { type, ...rest } = s;
+            s = { ...rest, anyOf: types.map(t => ({ type: t })) };
+        }
+    }
+
+    if (s.const !== undefined) {
+        s.enum = [s.const];
+        delete s.const;
+    }
+
+    // anyOf/oneOf: null variants become nullable, a single remaining variant is inlined
+    const union = s.anyOf || s.oneOf;
+    delete s.oneOf;
+    if (Array.isArray(union)) {
+        let variants = union.filter(v => v && typeof v === "object");
+        if (variants.some(isNullSchema)) {
+            s.nullable = true;
+            variants = variants.filter(v => !isNullSchema(v));
+        }
+        variants = variants.map((v, i) => normalizeSchema(v, flavour, losses, `${path}.anyOf[${i}]`));
+        delete s.anyOf;
+        if (variants.length === 1) {
+            // Parent description wins over the variant's
+            s = { ...variants[0], ...s, ...(variants[0].nullable ? { nullable: true } : {}) };
+        } else if (variants.length > 1) {
+            if (flavour === "claude") s.anyOf = variants;
+            else s = { ...mergeVariants(variants, losses, path), ...s };
+        }
     }
 
-    // Recurse into nested schemas
     if (s.properties && typeof s.properties === "object") {
-        s.properties = Object.fromEntries(
-            Object.entries(s.properties).map(([k, v]) => [k, ensureSchemaType(v)])
-        );
+        s.properties = Object.fromEntries(Object.entries(s.properties).map(([k, v]) =>
+            [k, normalizeSchema(v, flavour, losses, `${path}.${k}`)]));
+    }
+    if (Array.isArray(s.items)) {
+        losses.push(`${path || "/"}: tuple items reduced to the first item schema`);
+        s.items = s.items[0];
     }
-    if (s.items) s.items = ensureSchemaType(s.items);
+    if (s.items) s.items = normalizeSchema(s.items, flavour, losses, `${path}[]`);
 
+    // Default type if missing (a union carries its types in the variants)
+    if (!s.type && !s.anyOf) {
+        if (s.properties) s.type = "object";
+        else if (s.items) s.type = "array";
+        else if (s.enum) {
+            const values = s.enum.filter(v => v !== null);
+            s.type = values.length && values.every(v => typeof v === "number")
+                ? (values.every(Number.isInteger) ? "integer" : "number")
+                : "string";
+        }
+        else s.type = "object";
+    }
+    if (Array.isArray(s.required) && s.properties) {
+        s.required = s.required.filter(r => r in s.properties);
+    }
     return s;
 }
 
-// ── Google SSE → Anthropic Messages response conversion ─────────────────
+// Drop fields the target rejects (recursively), logging what was lost
+function narrowSchema(s, flavour, losses, path = "") {
+    const allowed = flavour === "claude" ? CLAUDE_SCHEMA_FIELDS : ALLOWED_SCHEMA_FIELDS;
+    const clean = {};
+    const hints = [];
+    for (const [key, value] of Object.entries(s)) {
+        if (key === "properties" && value && typeof value === "object") {
+            clean.properties = Object.fromEntries(Object.entries(value).map(([k, v]) =>
+                [k, narrowSchema(v, flavour, losses, `${path}.${k}`)]));
+        } else if (key === "items" && value && typeof value === "object") {
+            clean.items = narrowSchema(value, flavour, losses, `${path}[]`);
+        } else if (key === "anyOf" && allowed.has(key)) {
+            clean.anyOf = value.map((v, i) => narrowSchema(v, flavour, losses, `${path}.anyOf[${i}]`));
+        } else if (allowed.has(key)) {
+            clean[key] = value;
+        } else if (flavour !== "claude" && DESCRIBED_CONSTRAINTS.includes(key)) {
+            hints.push(`${key}: ${JSON.stringify(value)}`);
+        } else if (!SILENTLY_DROPPED.has(key) && !(key === "additionalProperties" && value === false)) {
+            losses.push(`${path || "/"}: dropped ${key}`);
+        }
+    }
+
+    // Gemini enums are strings only — spell out other values instead
+    if (flavour !== "claude" && Array.isArray(clean.enum) && clean.enum.some(v => typeof v !== "string")) {
+        if (clean.type === "string") clean.enum = clean.enum.filter(v => v !== null).map(String);
+        else {
+            hints.push(`allowed values: ${clean.enum.map(v => JSON.stringify(v)).join(", ")}`);
+            delete clean.enum;
+        }
+    }
+    if (hints.length) clean.description = [clean.description, `(${hints.join("; ")})`].filter(Boolean).join(" ");
+    return clean;
+}
+
+// The same tools arrive on every turn — translate (and log) each one once
+const SCHEMA_CACHE_LIMIT = 500;
+const schemaCache = new Map(); // flavour + name + schema JSON → translated schema
+
+function translateToolSchema(tool, flavour) {
+    const input = tool.input_schema || {};
+    const key = `${flavour}\0${tool.name}\0${JSON.stringify(input)}`;
+    if (schemaCache.has(key)) return schemaCache.get(key);
+
+    const losses = [];
+    const resolved = resolveRefs(input, input, losses);
+    const schema = narrowSchema(normalizeSchema(resolved, flavour, losses), flavour, losses);
+    if (losses.length) log(`  [schema] ${tool.name} (${flavour}): ${losses.join("; ")}`);
+
+    schemaCache.set(key, schema);
+    if (schemaCache.size > SCHEMA_CACHE_LIMIT) schemaCache.delete(schemaCache.keys().next().value);
+    return schema;
+}
+
+// ── Finish reasons ──────────────────────────────────────────────────────
+// Google finishReason → Anthropic stop_reason. Blocked responses become a
+// `refusal` and get an explanation appended so the user sees why it stopped.
+const REFUSAL_FINISH_REASONS = new Set([
+    "SAFETY", "RECITATION", "BLOCKLIST", "PROHIBITED_CONTENT", "SPII", "IMAGE_SAFETY", "LANGUAGE",
+]);
+
+const FINISH_REASON_EXPLANATIONS = {
+    SAFETY: "The response was blocked by upstream safety filters",
+    RECITATION: "The response was blocked because it recited copyrighted material",
+    BLOCKLIST: "The response was blocked because it contained blocklisted terms",
+    PROHIBITED_CONTENT: "The response was blocked for prohibited content",
+    SPII: "The response was blocked because it contained sensitive personal information",
+    IMAGE_SAFETY: "The response was blocked by upstream image safety filters",
+    LANGUAGE: "The response was stopped because it used an unsupported language",
+    MALFORMED_FUNCTION_CALL: "The model produced a malformed tool call that upstream could not parse",
+    UNEXPECTED_TOOL_CALL: "The model called a tool that was not declared in the request",
+    TOO_MANY_TOOL_CALLS: "The model made too many tool calls in one turn",
+};
+
+function mapFinishReason(finishReason, { hasToolUse, stopSequence, promptFeedback }) {
+    if (promptFeedback?.blockReason) return "refusal";
+    if (stopSequence != null) return "stop_sequence";
+    if (finishReason === "MAX_TOKENS") return "max_tokens";
+    if (REFUSAL_FINISH_REASONS.has(finishReason)) return "refusal";
+    if (hasToolUse) return "tool_use";
+    return "end_turn";
+}
+
+// Text shown to the user when upstream stopped for a reason other than a normal finish
+function finishExplanation(finishReason, candidate, promptFeedback) {
+    if (promptFeedback?.blockReason) {
+        const detail = promptFeedback.blockReasonMessage ? `: ${promptFeedback.blockReasonMessage}` : "";
+        return `[Prompt blocked by upstream (${promptFeedback.blockReason})${detail}]`;
+    }
+    const explanation = FINISH_REASON_EXPLANATIONS[finishReason];
+    if (!explanation) return null;
+    const categories = (candidate?.safetyRatings || []).filter(r => r.blocked).map(r => r.category);
+    const detail = [candidate?.finishMessage, categories.length ? `categories: ${categories.join(", ")}` : null]
+        .filter(Boolean).join("; ");
+    return `[${explanation} (${finishReason})${detail ? ` — ${detail}` : ""}]`;
+}
 
-function convertGoogleSSEToAnthropicStream(googleSSE, anthropicModel) {
-    // Parse all SSE events
-    const events = [];
-    const lines = googleSSE.split("\n");
-    for (const line of lines) {
-        if (!line.startsWith("data:")) continue;
-        const jsonStr = line.slice(5).trim();
-        if (!jsonStr) continue;
-        try { events.push(JSON.parse(jsonStr)); } catch { }
+// stop_sequences are matched here, all of them: they are never sent upstream
+// (which would report a hit as a plain STOP without saying which one), so the
+// generated text is scanned and the first sequence found ends the turn.
+function findStopSequence(text, stopSequences) {
+    let hit = null;
+    for (const sequence of stopSequences) {
+        const index = text.indexOf(sequence);
+        if (index !== -1 && (!hit || index < hit.index)) hit = { index, sequence };
     }
+    return hit;
+}
+
+function normalizeStopSequences(stopSequences) {
+    return Array.isArray(stopSequences) ? stopSequences.filter(s => typeof s === "string" && s) : [];
+}
+
+// ── Google SSE → Anthropic Messages response conversion ─────────────────
+
+// Options shared by both converters, taken from the Anthropic request:
+//   stopSequences    — stop_sequences to scan the output for
+//   singleToolUse    — tool_choice.disable_parallel_tool_use: keep only the first tool call
+function responseOptions(anthropicReq) {
+    return {
+        stopSequences: anthropicReq.stop_sequences,
+        singleToolUse: anthropicReq.tool_choice?.disable_parallel_tool_use === true,
+    };
+}
+
+// Anthropic usage from Google usageMetadata. Anthropic counts cache reads
+// apart from input_tokens; upstream caching is implicit, so nothing is ever
+// reported as written to the cache.
+function anthropicUsage(usageMetadata = {}) {
+    const cached = usageMetadata.cachedContentTokenCount || 0;
+    return {
+        input_tokens: Math.max(0, (usageMetadata.promptTokenCount || 0) - cached),
+        output_tokens: (usageMetadata.candidatesTokenCount || 0) + (usageMetadata.thoughtsTokenCount || 0),
+        cache_creation_input_tokens: 0,
+        cache_read_input_tokens: cached,
+    };
+}
 
-    // Collect all text and tool calls
+function convertGoogleSSEToAnthropicStream(googleSSE, anthropicModel, { stopSequences, singleToolUse, onUsage } = {}) {
+    // Parse all SSE events (an upstream error event throws UpstreamStreamError)
+    const events = googleSSE.split("\n").map(parseSSELine).filter(Boolean);
+
+    // Collect thinking, text and tool calls in the order they arrive
     const content = [];
-    let inputTokens = 0, outputTokens = 0;
-    let stopReason = "end_turn";
+    const stops = normalizeStopSequences(stopSequences);
+    let usage = anthropicUsage();
+    let finishReason = null, finishCandidate = null, promptFeedback = null;
+    let matchedStop = null;
+    let streamedCall = null; // { block, writer, json } while a call's arguments are still arriving
+    let droppingCall = false;
+
+    const streamToolArgs = (functionCall) => {
+        for (const arg of functionCall.partialArgs || []) streamedCall.json += streamedCall.writer.push(arg);
+        if (!functionCall.willContinue) finishStreamedCall();
+    };
+    const finishStreamedCall = () => {
+        if (!streamedCall) return;
+        streamedCall.block.input = JSON.parse(streamedCall.json + streamedCall.writer.finish());
+        streamedCall = null;
+    };
 
     for (const event of events) {
         const resp = event.response;
         if (!resp) continue;
+        if (resp.promptFeedback?.blockReason) promptFeedback = resp.promptFeedback;
         const candidate = resp.candidates?.[0];
         if (candidate?.content?.parts) {
             for (const part of candidate.content.parts) {
-                if (part.text !== undefined && !part.thoughtSignature) {
-                    // Only include non-thinking text
-                    const existing = content.find(b => b.type === "text");
-                    if (existing) { existing.text += part.text; }
-                    else { content.push({ type: "text", text: part.text }); }
+                if (matchedStop != null) break;
+                if (part.functionCall && droppingCall) {
+                    droppingCall = !!part.functionCall.willContinue;
+                    continue;
                 }
-                if (part.functionCall) {
-                    content.push({
+                if (part.functionCall && streamedCall) {
+                    streamToolArgs(part.functionCall);
+                    continue;
+                }
+                finishStreamedCall();
+                const last = content[content.length - 1];
+                if (part.thought === true) {
+                    // Consecutive thought chunks form one thinking block
+                    if (last?.type === "thinking" && !last.signature) {
+                        last.thinking += part.text || "";
+                        if (part.thoughtSignature) last.signature = part.thoughtSignature;
+                    } else {
+                        content.push({ type: "thinking", thinking: part.text || "", signature: part.thoughtSignature || "" });
+                    }
+                    continue;
+                }
+                if (part.thoughtSignature && !part.functionCall) {
+                    // Signature on a text part belongs to the preceding thinking block;
+                    // one on a call stays with its tool_use (see registerToolCall)
+                    if (last?.type === "thinking" && !last.signature) last.signature = part.thoughtSignature;
+                    else content.push({ type: "thinking", thinking: "", signature: part.thoughtSignature });
+                }
+                if (part.text) {
+                    let prev = content[content.length - 1];
+                    if (prev?.type === "text") { prev.text += part.text; }
+                    else { prev = { type: "text", text: part.text }; content.push(prev); }
+                    const hit = findStopSequence(prev.text, stops);
+                    if (hit) {
+                        prev.text = prev.text.slice(0, hit.index);
+                        matchedStop = hit.sequence;
+                        break;
+                    }
+                }
+                if (part.functionCall && singleToolUse && content.some(b => b.type === "tool_use")) {
+                    log(`  [tools] parallel tool use disabled — dropped call to ${part.functionCall.name}`);
+                    droppingCall = !!part.functionCall.willContinue;
+                } else if (part.functionCall) {
+                    const block = {
                         type: "tool_use",
-                        id: `toolu_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+                        id: registerToolCall(part.functionCall, part.thoughtSignature),
                         name: part.functionCall.name,
                         input: part.functionCall.args || {},
-                    });
+                    };
+                    content.push(block);
+                    if (hasPartialArgs(part.functionCall)) {
+                        streamedCall = { block, writer: createArgsWriter(), json: "" };
+                        streamToolArgs(part.functionCall);
+                    }
                 }
             }
-            if (candidate.finishReason === "STOP") stopReason = "end_turn";
+        }
+        if (candidate?.finishReason) {
+            finishReason = candidate.finishReason;
+            finishCandidate = candidate;
         }
         if (resp.usageMetadata) {
-            inputTokens = resp.usageMetadata.promptTokenCount || 0;
-            outputTokens = (resp.usageMetadata.candidatesTokenCount || 0) +
-                (resp.usageMetadata.thoughtsTokenCount || 0);
+            usage = anthropicUsage(resp.usageMetadata);
+            onUsage?.(resp.usageMetadata);
         }
     }
 
-    if (content.some(b => b.type === "tool_use")) stopReason = "tool_use";
+    finishStreamedCall();
+    const hasToolUse = content.some(b => b.type === "tool_use");
+    const stopReason = mapFinishReason(finishReason, { hasToolUse, stopSequence: matchedStop, promptFeedback });
+    const explanation = matchedStop == null && finishExplanation(finishReason, finishCandidate, promptFeedback);
+    if (explanation) {
+        log(`  [finish] ${finishReason || promptFeedback?.blockReason} → ${stopReason}`);
+        content.push({ type: "text", text: explanation });
+    }
     if (content.length === 0) content.push({ type: "text", text: "" });
 
     return {
@@ -425,27 +1716,240 @@ function convertGoogleSSEToAnthropicStream(googleSSE, anthropicModel) {
         model: anthropicModel,
         content,
         stop_reason: stopReason,
-        stop_sequence: null,
-        usage: {
-            input_tokens: inputTokens,
-            output_tokens: outputTokens,
+        stop_sequence: matchedStop,
+        usage,
+    };
+}
+
+// ── Streamed tool arguments ─────────────────────────────────────────────
+
+// With streamFunctionCallArguments, upstream sends one function call as a run
+// of parts: the first carries the name, each carries `partialArgs`
+// ({ jsonPath, stringValue | numberValue | boolValue | nullValue, willContinue })
+// and `willContinue` is cleared on the last one.
+
+// "$.edits[0].old_string" → ["edits", 0, "old_string"]
+function parseJsonPath(path) {
+    const segments = [];
+    const re = /\.([^.[\]]+)|\[(\d+)\]|\["((?:[^"\\]|\\.)*)"\]|\['([^']*)'\]/g;
+    for (const m of path.replace(/^\$/, "").matchAll(re)) {
+        if (m[1] != null) segments.push(m[1]);
+        else if (m[2] != null) segments.push(Number(m[2]));
+        else if (m[3] != null) segments.push(JSON.parse(`"${m[3]}"`));
+        else segments.push(m[4]);
+    }
+    return segments;
+}
+
+// Rebuilds the JSON text of the arguments piece by piece: push() returns the
+// text each partial argument adds, finish() closes whatever is still open
+function createArgsWriter() {
+    const stack = [{ key: null, array: false, count: 0 }]; // open containers, outermost first
+    let started = false;
+    let openString = null; // jsonPath of a string value that will continue
+
+    const member = (key) => {
+        const top = stack[stack.length - 1];
+        return (top.count++ ? "," : "") + (top.array ? "" : `${JSON.stringify(String(key))}:`);
+    };
+    const start = () => {
+        if (started) return "";
+        started = true;
+        return "{";
+    };
+
+    return {
+        push(arg) {
+            let out = start();
+            if (openString != null) {
+                if (arg.jsonPath === openString) {
+                    out += JSON.stringify(arg.stringValue ?? "").slice(1, -1);
+                    if (!arg.willContinue) { out += '"'; openString = null; }
+                    return out;
+                }
+                out += '"';
+                openString = null;
+            }
+            const path = parseJsonPath(arg.jsonPath || "$");
+            if (!path.length) return out;
+
+            // Close containers that aren't on this path, open the ones that are
+            const parents = path.slice(0, -1);
+            let depth = 1;
+            while (depth < stack.length && stack[depth].key === parents[depth - 1]) depth++;
+            while (stack.length > depth) out += stack.pop().array ? "]" : "}";
+            for (let i = depth - 1; i < parents.length; i++) {
+                const array = typeof path[i + 1] === "number";
+                out += member(parents[i]) + (array ? "[" : "{");
+                stack.push({ key: parents[i], array, count: 0 });
+            }
+
+            out += member(path[path.length - 1]);
+            if ("stringValue" in arg) {
+                out += JSON.stringify(arg.stringValue).slice(0, -1);
+                if (arg.willContinue) openString = arg.jsonPath;
+                else out += '"';
+            } else if ("numberValue" in arg) out += JSON.stringify(arg.numberValue);
+            else if ("boolValue" in arg) out += JSON.stringify(arg.boolValue);
+            else out += "null";
+            return out;
+        },
+        finish() {
+            let out = start();
+            if (openString != null) out += '"';
+            while (stack.length) out += stack.pop().array ? "]" : "}";
+            return out;
         },
     };
 }
 
-// ── Streaming: Google SSE → Anthropic SSE ───────────────────────────────
+// A function call part that opens (or is all of) a call with streamed arguments
+const hasPartialArgs = (functionCall) => functionCall.willContinue || functionCall.partialArgs != null;
 
-async function streamGoogleToAnthropic(googleResp, res, anthropicModel) {
-    const reader = googleResp.body.getReader();
+// ── Upstream stream reading ─────────────────────────────────────────────
+
+class StreamTimeoutError extends Error { }
+
+// An error object sent by upstream inside the SSE stream
+class UpstreamStreamError extends Error {
+    constructor(error) {
+        super(error.message || JSON.stringify(error));
+        this.code = error.code;
+        this.status = error.status;
+    }
+}
+
+// Yield decoded chunks of an upstream body, failing with StreamTimeoutError
+// when nothing arrives for `idleMs`. Leaving the loop early cancels upstream.
+async function* readUpstream(body, idleMs = STREAM_IDLE_TIMEOUT_MS) {
+    const reader = body.getReader();
     const decoder = new TextDecoder();
+    let first = true;
+    try {
+        while (true) {
+            let timer;
+            const idle = new Promise((_, reject) => {
+                timer = setTimeout(() => reject(new StreamTimeoutError(`Upstream sent nothing for ${idleMs / 1000}s`)), idleMs);
+            });
+            let result;
+            try { result = await Promise.race([reader.read(), idle]); }
+            finally { clearTimeout(timer); }
+            if (result.done) return;
+            if (first) {
+                first = false;
+                trace("first_byte");
+                const request = requestContext.getStore();
+                if (request) request.firstByteAt ??= Date.now();
+            }
+            yield decoder.decode(result.value, { stream: true });
+        }
+    } finally {
+        reader.cancel().catch(() => { });
+    }
+}
+
+// Parse one SSE line into a Google response chunk (null for anything else)
+function parseSSELine(line) {
+    if (!line.startsWith("data:")) return null;
+    const jsonStr = line.slice(5).trim();
+    if (!jsonStr) return null;
+    let chunk;
+    try { chunk = JSON.parse(jsonStr); } catch { return null; }
+    if (chunk.error) throw new UpstreamStreamError(chunk.error);
+    return chunk;
+}
+
+// Anthropic error type and HTTP status for a failure while reading upstream
+function streamErrorInfo(err) {
+    if (err instanceof StreamTimeoutError) return { type: "timeout_error", status: 504 };
+    if (err instanceof UpstreamStreamError) {
+        if (err.code === 429 || err.status === "RESOURCE_EXHAUSTED") return { type: "rate_limit_error", status: 429 };
+        if (err.code === 503 || err.status === "UNAVAILABLE") return { type: "overloaded_error", status: 529 };
+        if (err.code === 400 || err.status === "INVALID_ARGUMENT") return { type: "invalid_request_error", status: 400 };
+    }
+    return { type: "api_error", status: 500 };
+}
+
+// ── Streaming: Google SSE → Anthropic SSE ───────────────────────────────
+
+function writeEvent(res, type, data) {
+    res.write(`event: ${type}\ndata: ${JSON.stringify({ type, ...data })}\n\n`);
+}
+
+// Translate the upstream stream into Anthropic events, each handed to
+// `send(type, data)`; the caller ends the response. Resolves to the error
+// type if the stream failed part-way.
+async function streamGoogleToAnthropic(googleResp, send, anthropicModel, { stopSequences, singleToolUse, signal, onUsage } = {}) {
     let buffer = "";
     let contentIndex = 0;
-    let started = false;
-    let inputTokens = 0, outputTokens = 0;
+    let block = null; // currently open content block: { type, signature }
+    let hasToolUse = false;
+    let toolArgs = null; // args writer of the tool_use block still receiving arguments
+    let droppingCall = false; // skipping the rest of a call dropped by disable_parallel_tool_use
+    let usage = anthropicUsage();
+    let finishReason = null, finishCandidate = null, promptFeedback = null;
+
+    // With stop sequences set, the tail of the text is held back until it can't
+    // be the start of a sequence, so a matched sequence never reaches the client
+    const stops = normalizeStopSequences(stopSequences);
+    const holdback = Math.max(0, ...stops.map(seq => seq.length - 1));
+    let pendingText = "";
+    let matchedStop = null;
+
+    const openBlock = (contentBlock) => {
+        closeBlock();
+        block = { type: contentBlock.type, signature: "" };
+        send("content_block_start", { index: contentIndex, content_block: contentBlock });
+    };
+    const closeBlock = () => {
+        if (!block) return;
+        if (toolArgs) {
+            // Arguments cut short still have to close as valid JSON
+            inputDelta(toolArgs.finish());
+            toolArgs = null;
+        }
+        if (block.type === "thinking" && block.signature) {
+            send("content_block_delta", {
+                index: contentIndex,
+                delta: { type: "signature_delta", signature: block.signature },
+            });
+        }
+        send("content_block_stop", { index: contentIndex });
+        contentIndex++;
+        block = null;
+    };
+    const delta = (d) => send("content_block_delta", { index: contentIndex, delta: d });
+    const inputDelta = (json) => json && delta({ type: "input_json_delta", partial_json: json });
+    const streamToolArgs = (functionCall) => {
+        for (const arg of functionCall.partialArgs || []) inputDelta(toolArgs.push(arg));
+        if (!functionCall.willContinue) closeBlock();
+    };
+    const emitText = (text) => {
+        if (!text) return;
+        if (block?.type !== "text") openBlock({ type: "text", text: "" });
+        delta({ type: "text_delta", text });
+    };
+    const flushText = () => {
+        emitText(pendingText);
+        pendingText = "";
+    };
+    const pushText = (text) => {
+        if (!stops.length) return emitText(text);
+        pendingText += text;
+        const hit = findStopSequence(pendingText, stops);
+        if (hit) {
+            emitText(pendingText.slice(0, hit.index));
+            pendingText = "";
+            matchedStop = hit.sequence;
+            return;
+        }
+        const keep = Math.min(pendingText.length, holdback);
+        emitText(pendingText.slice(0, pendingText.length - keep));
+        pendingText = pendingText.slice(pendingText.length - keep);
+    };
 
     // Send message_start
-    const msgStart = {
-        type: "message_start",
+    send("message_start", {
         message: {
             id: `msg_${Date.now()}`,
             type: "message",
@@ -454,207 +1958,986 @@ async function streamGoogleToAnthropic(googleResp, res, anthropicModel) {
             content: [],
             stop_reason: null,
             stop_sequence: null,
-            usage: { input_tokens: 0, output_tokens: 0 },
+            usage: anthropicUsage(),
         },
-    };
-    res.write(`event: message_start\ndata: ${JSON.stringify(msgStart)}\n\n`);
+    });
+    send("ping", {});
+
+    // Keep the connection alive through long silences (e.g. extended thinking).
+    // Only pings: usage goes out once, in the final message_delta.
+    const heartbeat = setInterval(() => send("ping", {}), PING_INTERVAL_MS);
 
     try {
-        while (true) {
-            const { done, value } = await reader.read();
-            if (done) break;
-            buffer += decoder.decode(value, { stream: true });
+        for await (const text of readUpstream(googleResp.body)) {
+            buffer += text;
             const lines = buffer.split("\n");
             buffer = lines.pop() || "";
 
             for (const line of lines) {
-                if (!line.startsWith("data:")) continue;
-                const jsonStr = line.slice(5).trim();
-                if (!jsonStr) continue;
-                let chunk;
-                try { chunk = JSON.parse(jsonStr); } catch { continue; }
-
-                const resp = chunk.response;
+                const resp = parseSSELine(line)?.response;
                 if (!resp) continue;
+                if (resp.promptFeedback?.blockReason) promptFeedback = resp.promptFeedback;
                 const candidate = resp.candidates?.[0];
                 if (candidate?.content?.parts) {
                     for (const part of candidate.content.parts) {
-                        // Skip thinking signatures (internal markers)
-                        if (part.thoughtSignature && !part.text) continue;
-
-                        if (part.text !== undefined) {
-                            const isThinking = part.thought === true;
-                            if (isThinking) continue; // Skip thinking for now
-
-                            if (!started) {
-                                // content_block_start
-                                res.write(`event: content_block_start\ndata: ${JSON.stringify({
-                                    type: "content_block_start",
-                                    index: contentIndex,
-                                    content_block: { type: "text", text: "" },
-                                })}\n\n`);
-                                started = true;
+                        if (matchedStop != null) break;
+                        // Rest of a call whose arguments are still arriving
+                        if (part.functionCall && droppingCall) {
+                            droppingCall = !!part.functionCall.willContinue;
+                            continue;
+                        }
+                        if (part.functionCall && toolArgs) {
+                            streamToolArgs(part.functionCall);
+                            continue;
+                        }
+                        // Held-back text must go out before any other kind of block
+                        if (!part.text || part.thought || part.thoughtSignature) flushText();
+                        if (part.thought === true) {
+                            // Thinking: stream as a thinking block, signature is sent on close
+                            if (block?.type !== "thinking" || block.signature) {
+                                openBlock({ type: "thinking", thinking: "", signature: "" });
+                            }
+                            if (part.text) delta({ type: "thinking_delta", thinking: part.text });
+                            if (part.thoughtSignature) block.signature = part.thoughtSignature;
+                            continue;
+                        }
+
+                        if (part.thoughtSignature && !part.functionCall) {
+                            // Signature on a text part belongs to the preceding thinking block;
+                            // one on a call stays with its tool_use (see registerToolCall)
+                            if (block?.type !== "thinking" || block.signature) {
+                                openBlock({ type: "thinking", thinking: "", signature: "" });
                             }
-                            // content_block_delta
-                            res.write(`event: content_block_delta\ndata: ${JSON.stringify({
-                                type: "content_block_delta",
-                                index: contentIndex,
-                                delta: { type: "text_delta", text: part.text },
-                            })}\n\n`);
+                            block.signature = part.thoughtSignature;
+                            closeBlock();
                         }
-                        if (part.functionCall) {
-                            if (started) {
-                                // Close text block
-                                res.write(`event: content_block_stop\ndata: ${JSON.stringify({
-                                    type: "content_block_stop", index: contentIndex,
-                                })}\n\n`);
-                                contentIndex++;
-                                started = false;
+
+                        if (part.text) pushText(part.text);
+                        if (part.functionCall && singleToolUse && hasToolUse) {
+                            log(`  [tools] parallel tool use disabled — dropped call to ${part.functionCall.name}`);
+                            droppingCall = !!part.functionCall.willContinue;
+                        } else if (part.functionCall) {
+                            const toolId = registerToolCall(part.functionCall, part.thoughtSignature);
+                            openBlock({ type: "tool_use", id: toolId, name: part.functionCall.name, input: {} });
+                            hasToolUse = true;
+                            if (hasPartialArgs(part.functionCall)) {
+                                toolArgs = createArgsWriter();
+                                streamToolArgs(part.functionCall);
+                            } else {
+                                inputDelta(JSON.stringify(part.functionCall.args || {}));
+                                closeBlock();
                             }
-                            const toolId = `toolu_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
-                            // Tool use block
-                            res.write(`event: content_block_start\ndata: ${JSON.stringify({
-                                type: "content_block_start",
-                                index: contentIndex,
-                                content_block: { type: "tool_use", id: toolId, name: part.functionCall.name, input: {} },
-                            })}\n\n`);
-                            res.write(`event: content_block_delta\ndata: ${JSON.stringify({
-                                type: "content_block_delta",
-                                index: contentIndex,
-                                delta: { type: "input_json_delta", partial_json: JSON.stringify(part.functionCall.args || {}) },
-                            })}\n\n`);
-                            res.write(`event: content_block_stop\ndata: ${JSON.stringify({
-                                type: "content_block_stop", index: contentIndex,
-                            })}\n\n`);
-                            contentIndex++;
                         }
                     }
                 }
+                if (candidate?.finishReason) {
+                    finishReason = candidate.finishReason;
+                    finishCandidate = candidate;
+                }
                 if (resp.usageMetadata) {
-                    inputTokens = resp.usageMetadata.promptTokenCount || 0;
-                    outputTokens = (resp.usageMetadata.candidatesTokenCount || 0) +
-                        (resp.usageMetadata.thoughtsTokenCount || 0);
+                    usage = anthropicUsage(resp.usageMetadata);
+                    onUsage?.(resp.usageMetadata);
                 }
             }
+            // The turn is over — leaving the loop stops generating upstream
+            if (matchedStop != null) break;
         }
     } catch (err) {
-        log("[stream error]", err.message);
+        // Client went away: nobody to tell
+        if (signal?.aborted) return "client_disconnected";
+        // The message can't be completed: send an error event and end the
+        // stream without message_stop, so the client doesn't treat it as done
+        const { type } = streamErrorInfo(err);
+        log.warn(`[stream error] ${type}: ${err.message}`);
+        send("error", { error: { type, message: err.message } });
+        return type;
+    } finally {
+        clearInterval(heartbeat);
     }
 
-    // Close last block
-    if (started) {
-        res.write(`event: content_block_stop\ndata: ${JSON.stringify({
-            type: "content_block_stop", index: contentIndex,
-        })}\n\n`);
+    flushText();
+    const stopReason = mapFinishReason(finishReason, { hasToolUse, stopSequence: matchedStop, promptFeedback });
+    const explanation = matchedStop == null && finishExplanation(finishReason, finishCandidate, promptFeedback);
+    if (explanation) {
+        log(`  [finish] ${finishReason || promptFeedback?.blockReason} → ${stopReason}`);
+        openBlock({ type: "text", text: "" });
+        delta({ type: "text_delta", text: explanation });
     }
 
+    // Close last block
+    closeBlock();
+
     // message_delta
-    const hasToolUse = contentIndex > (started ? 1 : 0);
-    res.write(`event: message_delta\ndata: ${JSON.stringify({
-        type: "message_delta",
-        delta: { stop_reason: hasToolUse ? "tool_use" : "end_turn", stop_sequence: null },
-        usage: { output_tokens: outputTokens },
-    })}\n\n`);
+    send("message_delta", {
+        delta: { stop_reason: stopReason, stop_sequence: matchedStop },
+        usage,
+    });
 
     // message_stop
-    res.write(`event: message_stop\ndata: ${JSON.stringify({ type: "message_stop" })}\n\n`);
-    res.end();
+    send("message_stop", {});
 }
 
-// ── HTTP Server ─────────────────────────────────────────────────────────
+// ── Upstream helpers ────────────────────────────────────────────────────
 
-const server = http.createServer(async (req, res) => {
-    // CORS
-    res.setHeader("Access-Control-Allow-Origin", "*");
-    res.setHeader("Access-Control-Allow-Methods", "POST, OPTIONS");
-    res.setHeader("Access-Control-Allow-Headers", "*");
-    if (req.method === "OPTIONS") { res.writeHead(200); res.end(); return; }
+class UpstreamError extends Error {
+    constructor(status, errText, ep, retryAfterMs = null) {
+        super(`${ep} ${status}: ${errText.slice(0, 200)}`);
+        this.status = status;
+        this.errText = errText;
+        this.ep = ep;
+        this.retryAfterMs = retryAfterMs;
+    }
+}
+
+const RETRYABLE_STATUS = new Set([429, 500, 502, 503, 504]);
+// Not worth retrying, but may be down to the endpoint (a method or model it
+// doesn't serve, an account it doesn't accept): the other endpoints get a try
+const ENDPOINT_STATUS = new Set([401, 403, 404]);
+// Resolves after `ms`, or rejects as soon as `signal` aborts
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(signal.reason);
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener("abort", () => { clearTimeout(timer); reject(signal.reason); }, { once: true });
+});
 
-    // Only handle POST /v1/messages
-    if (req.method !== "POST" || !req.url?.startsWith("/v1/messages")) {
-        res.writeHead(404, { "Content-Type": "application/json" });
-        res.end(JSON.stringify({ error: "Not found" }));
-        return;
+// Delay requested by upstream: Retry-After header (seconds or HTTP date), or
+// google.rpc.RetryInfo / quotaResetDelay in the error details ("3.5s")
+function parseRetryAfter(headers, errText) {
+    const header = headers.get("retry-after");
+    if (header) {
+        const seconds = Number(header);
+        if (!Number.isNaN(seconds)) return seconds * 1000;
+        const date = Date.parse(header);
+        if (!Number.isNaN(date)) return Math.max(0, date - Date.now());
     }
+    try {
+        const details = JSON.parse(errText)?.error?.details || [];
+        for (const d of details) {
+            const delay = d.retryDelay || d.metadata?.quotaResetDelay;
+            const match = typeof delay === "string" && delay.match(/^([\d.]+)s$/);
+            if (match) return parseFloat(match[1]) * 1000;
+        }
+    } catch { }
+    return null;
+}
 
-    // Read body
-    const chunks = [];
-    for await (const chunk of req) chunks.push(chunk);
-    const body = Buffer.concat(chunks).toString();
-    let anthropicReq;
-    try { anthropicReq = JSON.parse(body); }
-    catch { res.writeHead(400); res.end('{"error":"Invalid JSON"}'); return; }
+function backoffDelay(attempt) {
+    return Math.random() * Math.min(RETRY_MAX_MS, RETRY_BASE_MS * 2 ** attempt);
+}
 
-    const isStream = anthropicReq.stream === true;
-    const originalModel = anthropicReq.model;
-    const googlePayload = convertAnthropicToGoogle(anthropicReq);
+function upstreamEndpoints() {
+    return ENV_ENDPOINTS?.length ? ENV_ENDPOINTS : config.endpoints;
+}
+
+// Per-endpoint circuit breaker state
+const breakers = new Map(); // endpoint → { failures, openUntil }
+
+function breakerOf(ep) {
+    if (!breakers.has(ep)) breakers.set(ep, { failures: 0, openUntil: 0 });
+    return breakers.get(ep);
+}
+
+function recordEndpointResult(ep, ok) {
+    const breaker = breakerOf(ep);
+    if (ok) { breaker.failures = 0; return; }
+    if (++breaker.failures >= BREAKER_THRESHOLD) {
+        breaker.openUntil = Date.now() + BREAKER_COOLDOWN_MS;
+        log.warn(`  [breaker] ${ep} open for ${BREAKER_COOLDOWN_MS / 1000}s after ${breaker.failures} failures`);
+    }
+}
+
+// Endpoints currently in rotation; if every breaker is open, try them all anyway
+function liveEndpoints() {
+    const endpoints = upstreamEndpoints();
+    const live = endpoints.filter(ep => breakerOf(ep).openUntil <= Date.now());
+    return live.length > 0 ? live : endpoints;
+}
+
+// The most recent upstream answer (or network failure), for GET /ready
+let lastUpstream = null; // { method, endpoint, status, at }
+
+function recordUpstreamAttempt(method, endpoint, status) {
+    countMetric("antigravity_proxy_upstream_requests_total", { method, endpoint, status });
+    lastUpstream = { method, endpoint, status, at: new Date().toISOString() };
+}
+
+// POST a v1internal method with primary-then-fallback failover. Each round
+// walks the live endpoints in order; 429/5xx and network errors move on to the
+// next one, and once a round is exhausted we back off and retry. 401/403/404
+// move on to the next endpoint too, but are thrown (the first one) when no
+// endpoint had a retryable failure. Other statuses (e.g. 400) are thrown
+// straight away. Resolves to { resp, endpoint }.
+async function fetchUpstream(method, { headers, body, query = "", failFastOn429 = false, signal }) {
+    let lastErr;
+    for (let attempt = 0; attempt <= MAX_RETRIES; attempt++) {
+        let retryAfterMs = 0; // longest delay any endpoint asked for this round
+        let endpointErr = null, retryable = false;
+        for (const ep of liveEndpoints()) {
+            const sentAt = Date.now();
+            const attemptInfo = () => ({ method, endpoint: ep, attempt: attempt + 1, upstream_ms: Date.now() - sentAt });
+            let r;
+            try {
+                r = await fetch(`${ep}/v1internal:${method}${query}`, { method: "POST", headers, body, signal });
+            } catch (err) {
+                // Cancelled by us (client went away), not an endpoint failure
+                if (signal?.aborted) throw err;
+                trace("upstream", { ...attemptInfo(), error: err.message }, "warn");
+                recordUpstreamAttempt(method, ep, "error");
+                recordEndpointResult(ep, false);
+                lastErr = new UpstreamError(503, err.message, ep);
+                retryable = true;
+                continue;
+            }
+            if (r.ok) {
+                trace("upstream", { ...attemptInfo(), status: r.status });
+                recordUpstreamAttempt(method, ep, r.status);
+                recordEndpointResult(ep, true);
+                return { resp: r, endpoint: ep };
+            }
+            const errText = await r.text();
+            trace("upstream", { ...attemptInfo(), status: r.status, error: errText.slice(0, 200) }, "warn");
+            recordUpstreamAttempt(method, ep, r.status);
+            lastErr = new UpstreamError(r.status, errText, ep, parseRetryAfter(r.headers, errText));
+            if (ENDPOINT_STATUS.has(r.status)) {
+                endpointErr ??= lastErr;
+                continue;
+            }
+            if (!RETRYABLE_STATUS.has(r.status)) throw lastErr;
+            retryable = true;
+            retryAfterMs = Math.max(retryAfterMs, lastErr.retryAfterMs ?? 0);
+            // 429 is an account quota, not an unhealthy endpoint
+            if (r.status !== 429) recordEndpointResult(ep, false);
+        }
+        if (!retryable) throw endpointErr;
+        if (attempt === MAX_RETRIES) break;
+        // Another account can take over right away — no point waiting on this one
+        if (failFastOn429 && lastErr.status === 429) break;
+        const delay = Math.max(retryAfterMs, backoffDelay(attempt));
+        if (delay > RETRY_MAX_WAIT_MS) {
+            log.warn(`  [retry] upstream asks to wait ${Math.round(delay / 1000)}s — giving up`);
+            break;
+        }
+        log(`  [retry] attempt ${attempt + 1}/${MAX_RETRIES} in ${Math.round(delay)}ms`);
+        countMetric("antigravity_proxy_upstream_retries_total", { method });
+        await sleep(delay, signal);
+    }
+    throw lastErr;
+}
+
+function upstreamHeaders(token, accept = "application/json") {
+    return {
+        Authorization: `Bearer ${token}`,
+        "Content-Type": "application/json",
+        Accept: accept,
+        "User-Agent": `antigravity/${ANTIGRAVITY_VERSION} linux/x86_64`,
+        "X-Goog-Api-Client": "google-cloud-sdk vscode_cloudshelleditor/0.1",
+        "Client-Metadata": JSON.stringify({
+            ideType: "IDE_UNSPECIFIED",
+            platform: "PLATFORM_UNSPECIFIED",
+            pluginType: "GEMINI",
+        }),
+    };
+}
+
+// Send a v1internal call through the account pool. `payload` may be a function
+// of the account for bodies that carry its project. A 429 cools the account
+// down for `model` (the payload's own by default) and, while another account
+// is healthy for that model, retries there at once. `failFast` gives up on a
+// 429 without backoff even on the last account.
+async function fetchWithAccount(method, { payload, model = payload?.model || "", conversation = null, accept, query, extraHeaders = {}, signal, failFast = false }) {
+    const tried = new Set();
+    while (true) {
+        const account = pickAccount(conversation, model, tried);
+        tried.add(account.email);
+        const canRotate = accounts.some(a => !tried.has(a.email) && isHealthy(a, model));
+        const body = typeof payload === "function" ? payload(account) : payload;
+        const headers = { ...upstreamHeaders(await getToken(account), accept), ...extraHeaders };
+        try {
+            const { resp, endpoint } = await fetchUpstream(method, {
+                headers, body: JSON.stringify(body), query, failFastOn429: canRotate || failFast, signal,
+            });
+            return { resp, account, endpoint };
+        } catch (err) {
+            if (!(err instanceof UpstreamError) || err.status !== 429) throw err;
+            coolDown(account, model, err.retryAfterMs);
+            if (!canRotate) throw err;
+        }
+    }
+}
 
-    log(`[${new Date().toISOString()}] ${originalModel} → ${googlePayload.model} (stream=${isStream})`);
+// Unary (non-streaming) v1internal call
+async function callUpstream(method, payload) {
+    const { resp } = await fetchWithAccount(method, { payload });
+    return resp.json();
+}
 
+// ── Project check ───────────────────────────────────────────────────────
+// A stored project can go stale (re-onboarding, a subscription change), which
+// otherwise only shows up as failing requests. On startup each account asks
+// loadCodeAssist for its current project and the stored one is corrected.
+
+async function checkProject(account) {
+    const { resp } = await fetchUpstream("loadCodeAssist", {
+        headers: upstreamHeaders(await getToken(account)),
+        body: JSON.stringify({
+            cloudaicompanionProject: account.project_id,
+            metadata: { ideType: "IDE_UNSPECIFIED", platform: "PLATFORM_UNSPECIFIED", pluginType: "GEMINI", duetProject: account.project_id },
+        }),
+    });
+    const data = await resp.json();
+    const project = data.cloudaicompanionProject?.id
+        || (typeof data.cloudaicompanionProject === "string" ? data.cloudaicompanionProject : null);
+    if (!project) {
+        log.warn(`[accounts] ${account.email}: loadCodeAssist reports no project — run: node setup.mjs login`);
+    } else if (project !== account.project_id) {
+        log(`[accounts] ${account.email}: project changed ${account.project_id} → ${project}`);
+        account.project_id = project;
+        updateAccount(account.email, { project_id: project });
+    }
+}
+
+async function checkProjects() {
+    for (const account of accounts) {
+        try { await checkProject(account); }
+        catch (err) { log.warn(`[accounts] ${account.email}: project check failed: ${err.message}`); }
+    }
+}
+
+// ── Token counting ──────────────────────────────────────────────────────
+
+// Rough local estimate (~4 chars per token): the count_tokens answer when
+// upstream can't count, and the context window pre-check. Real counts vary
+// either way, so it is never trusted to the token.
+const IMAGE_TOKEN_ESTIMATE = 1600;
+
+// Characters of keys and values, without the quotes and escapes JSON adds —
+// tool results full of quotes and newlines would otherwise count double
+function valueChars(value) {
+    if (typeof value === "string") return value.length;
+    if (Array.isArray(value)) return value.reduce((sum, v) => sum + valueChars(v), 0);
+    if (value && typeof value === "object") {
+        return Object.entries(value).reduce((sum, [key, v]) => sum + key.length + valueChars(v), 0);
+    }
+    return String(value).length;
+}
+
+function estimateTokens(googleRequest) {
+    let chars = 0, images = 0;
+    const countParts = (parts) => {
+        for (const p of parts || []) {
+            if (typeof p.text === "string") chars += p.text.length;
+            else if (p.inlineData || p.fileData) images++;
+            else chars += valueChars(p);
+        }
+    };
+    for (const c of googleRequest.contents || []) countParts(c.parts);
+    countParts(googleRequest.systemInstruction?.parts);
+    if (googleRequest.tools) chars += valueChars(googleRequest.tools);
+    return Math.ceil(chars / 4) + images * IMAGE_TOKEN_ESTIMATE;
+}
+
+// Anthropic's wording, which clients such as Claude Code recognise and react to by compacting
+const promptTooLong = (tokens, limit) => `prompt is too long: ${tokens} tokens > ${limit} maximum`;
+
+// Upstream's own "too long" rejection in the same words, or null if it's another error
+function upstreamPromptTooLong(errText) {
+    const anthropic = errText.match(/prompt is too long: \d+ tokens > \d+ maximum/);
+    if (anthropic) return anthropic[0];
+    const google = errText.match(/input token count \(?(\d+)\)? exceeds the maximum number of tokens allowed \(?(\d+)\)?/i);
+    return google ? promptTooLong(google[1], google[2]) : null;
+}
+
+// How far over the context window the estimate must be before a request is
+// refused locally. Anything closer goes upstream, which counts exactly and
+// answers "too long" itself (see upstreamPromptTooLong).
+const CONTEXT_ESTIMATE_MARGIN = 1.2;
+
+// Refuse a request whose estimated size is clearly over the model's context
+// window — upstream would reject it anyway, after a slow round trip. With
+// PROXY_SHRINK_TOOL_RESULTS, tool results are shrunk to fit first.
+function checkContextWindow(request, model) {
+    const limit = contextWindow(model);
+    if (!limit) return;
+    const threshold = Math.floor(limit * CONTEXT_ESTIMATE_MARGIN);
+    let tokens = estimateTokens(request);
+    // Shrinking is opted into, so it starts at the window itself: a request
+    // just over it would otherwise go upstream as is and fail there
+    if (SHRINK_TOOL_RESULTS && tokens > limit) {
+        const before = tokens;
+        const shrunk = shrinkToolResults(request, tokens - limit);
+        tokens = estimateTokens(request);
+        if (shrunk) log(`  [context] shrank ${shrunk} tool result(s): ~${before} → ~${tokens} tokens (${model} takes ${limit})`);
+    }
+    if (tokens <= threshold) return;
+    log(`  [context] ~${tokens} tokens is well over ${model}'s ${limit}-token window`);
+    throw new InvalidRequestError(promptTooLong(tokens, limit));
+}
+
+// Characters of a shrunk tool result that are kept, split between head and tail
+const TOOL_RESULT_KEEP_CHARS = 2000;
+
+// Cut the largest tool results down to their head and tail until about
+// `excessTokens` are gone. Returns how many were shrunk.
+function shrinkToolResults(request, excessTokens) {
+    let excess = excessTokens * 4;
+    const length = (part) => part.functionResponse.response.output.length;
+    const results = request.contents.flatMap(c => c.parts)
+        .filter(p => typeof p.functionResponse?.response?.output === "string")
+        .sort((a, b) => length(b) - length(a));
+    let shrunk = 0;
+    for (const part of results) {
+        const output = part.functionResponse.response.output;
+        // Leave room for the marker
+        const keep = Math.max(TOOL_RESULT_KEEP_CHARS, output.length - excess - 100);
+        // Largest first, so the rest are too small to shrink as well
+        if (excess <= 0 || keep >= output.length) break;
+        const head = output.slice(0, Math.ceil(keep / 2));
+        const tail = output.slice(output.length - Math.floor(keep / 2));
+        part.functionResponse.response.output =
+            `${head}\n\n[… ${output.length - keep} characters elided by the proxy to fit the context window …]\n\n${tail}`;
+        excess -= output.length - length(part);
+        shrunk++;
+    }
+    return shrunk;
+}
+
+// countTokens only takes contents, so the system prompt and tool declarations
+// are folded in as leading user turns to keep them in the count
+async function countTokensUpstream(googlePayload) {
+    const { request, model } = googlePayload;
+    const contents = [];
+    if (request.systemInstruction?.parts?.length) contents.push({ role: "user", parts: request.systemInstruction.parts });
+    if (request.tools) contents.push({ role: "user", parts: [{ text: JSON.stringify(request.tools) }] });
+    contents.push(...request.contents);
+    const data = await callUpstream("countTokens", { request: { model: `models/${model}`, contents } });
+    if (typeof data.totalTokens !== "number") throw new Error("countTokens returned no totalTokens");
+    return data.totalTokens;
+}
+
+// ── Available models ────────────────────────────────────────────────────
+
+const MODELS_CACHE_TTL = 5 * 60 * 1000;
+const STARTED_AT = new Date().toISOString();
+let availableModels = { fetchedAt: 0, models: {} }; // upstream model ID → info
+
+async function fetchAvailableModels() {
+    if (Date.now() - availableModels.fetchedAt < MODELS_CACHE_TTL) return availableModels.models;
     try {
-        const token = await getToken();
-        const headers = {
-            Authorization: `Bearer ${token}`,
-            "Content-Type": "application/json",
-            Accept: "text/event-stream",
-            "User-Agent": `antigravity/${ANTIGRAVITY_VERSION} linux/x86_64`,
-            "X-Goog-Api-Client": "google-cloud-sdk vscode_cloudshelleditor/0.1",
-            "Client-Metadata": JSON.stringify({
-                ideType: "IDE_UNSPECIFIED",
-                platform: "PLATFORM_UNSPECIFIED",
-                pluginType: "GEMINI",
-            }),
-        };
+        const data = await callUpstream("fetchAvailableModels", account => ({ project: account.project_id }));
+        availableModels = { fetchedAt: Date.now(), models: data.models || {} };
+    } catch (err) {
+        log.warn("[models] fetchAvailableModels failed:", err.message);
+    }
+    return availableModels.models;
+}
+
+async function listModels() {
+    const upstream = await fetchAvailableModels();
+    const aliases = config.aliases.filter(a => !a.pattern.includes("*"));
+    const ids = new Set([
+        ...aliases.map(a => a.pattern), ...aliases.map(a => a.value),
+        ...Object.keys(MODEL_MAP), ...Object.values(MODEL_MAP), ...Object.keys(upstream),
+    ]);
+    return [...ids].sort().map(id => ({
+        type: "model",
+        id,
+        display_name: upstream[id]?.displayName || id,
+        created_at: STARTED_AT,
+    }));
+}
+
+// ── OpenAI Chat Completions ─────────────────────────────────────────────
+// /v1/chat/completions turns the OpenAI request into an Anthropic one, sends
+// it down the same Google path as /v1/messages and translates the result back.
+
+const OPENAI_FINISH_REASONS = {
+    end_turn: "stop",
+    stop_sequence: "stop",
+    max_tokens: "length",
+    tool_use: "tool_calls",
+    refusal: "content_filter",
+};
 
-        // Add anthropic-beta header for thinking models
-        if (isThinkingModel(googlePayload.model)) {
-            headers["anthropic-beta"] = "interleaved-thinking-2025-05-14";
+// Anthropic error types → the ones OpenAI clients branch on
+const OPENAI_ERROR_TYPES = {
+    api_error: "server_error",
+    overloaded_error: "server_error",
+    timeout_error: "server_error",
+    rate_limit_error: "rate_limit_exceeded",
+    authentication_error: "invalid_request_error",
+    permission_error: "invalid_request_error",
+    not_found_error: "invalid_request_error",
+};
+const openAIError = (type, message) => ({ message, type: OPENAI_ERROR_TYPES[type] || type, param: null, code: null });
+
+function openAIImageToAnthropic(part) {
+    const url = typeof part.image_url === "string" ? part.image_url : part.image_url?.url;
+    if (typeof url !== "string") throw new InvalidRequestError("image_url: url is required");
+    const match = url.match(/^data:([^;,]+);base64,(.*)$/s);
+    if (match) return { type: "image", source: { type: "base64", media_type: match[1], data: match[2] } };
+    return { type: "image", source: { type: "url", url } };
+}
+
+// { type: "file", file: { file_data: "data:application/pdf;base64,…", filename } } → document
+function openAIFileToAnthropic(part) {
+    const match = part.file?.file_data?.match(/^data:([^;,]+);base64,(.*)$/s);
+    if (!match) throw new InvalidRequestError("file: only inline file_data (a base64 data: URL) is supported");
+    const document = { type: "document", source: { type: "base64", media_type: match[1], data: match[2] } };
+    if (part.file.filename) document.title = part.file.filename;
+    return document;
+}
+
+// OpenAI message content (string or parts) → Anthropic content blocks
+function openAIContentToAnthropic(content) {
+    if (content == null) return [];
+    if (typeof content === "string") return content ? [{ type: "text", text: content }] : [];
+    if (!Array.isArray(content)) throw new InvalidRequestError("messages: content must be a string or a list of parts");
+    return content.map(part => {
+        switch (part?.type) {
+            case "text": return { type: "text", text: part.text };
+            case "refusal": return { type: "text", text: part.refusal };
+            case "image_url": return openAIImageToAnthropic(part);
+            case "file": return openAIFileToAnthropic(part);
+            default: throw new InvalidRequestError(`messages: content part type "${part?.type}" is not supported`);
         }
+    });
+}
+
+function parseToolArguments(args) {
+    if (args == null || args === "") return {};
+    if (typeof args !== "string") return args;
+    try { return JSON.parse(args); }
+    catch { throw new InvalidRequestError("tool_calls: function.arguments must be a JSON object"); }
+}
 
-        // Race both endpoints in parallel — use whichever succeeds first
-        const payloadStr = JSON.stringify(googlePayload);
-        const fetchOne = async (ep) => {
-            const url = `${ep}/v1internal:streamGenerateContent?alt=sse`;
-            const r = await fetch(url, { method: "POST", headers, body: payloadStr });
-            if (!r.ok) {
-                const errText = await r.text();
-                log(`  [${ep}] ${r.status}: ${errText.slice(0, 200)}`);
-                throw { status: r.status, errText, ep };
+function openAIToolChoiceToAnthropic(choice) {
+    if (choice === undefined) return undefined;
+    if (choice === "none" || choice === "auto") return { type: choice };
+    if (choice === "required") return { type: "any" };
+    if (choice?.type === "function") return { type: "tool", name: choice.function?.name };
+    throw new InvalidRequestError(`tool_choice: must be "none", "auto", "required" or a function`);
+}
+
+function openAIToAnthropic(body) {
+    if (!Array.isArray(body.messages)) throw new InvalidRequestError("messages: must be a list");
+    if (body.n != null && body.n !== 1) throw new InvalidRequestError("n: only 1 is supported");
+
+    const system = [];
+    const messages = [];
+    for (const msg of body.messages) {
+        switch (msg?.role) {
+            case "system":
+            case "developer":
+                system.push(...openAIContentToAnthropic(msg.content).filter(b => b.type === "text"));
+                break;
+            case "user":
+                messages.push({ role: "user", content: openAIContentToAnthropic(msg.content) });
+                break;
+            case "assistant": {
+                const content = openAIContentToAnthropic(msg.content);
+                for (const call of msg.tool_calls || []) {
+                    content.push({
+                        type: "tool_use",
+                        id: call.id,
+                        name: call.function?.name,
+                        input: parseToolArguments(call.function?.arguments),
+                    });
+                }
+                messages.push({ role: "assistant", content });
+                break;
             }
-            return r;
-        };
+            case "tool": {
+                // Results of one round of tool calls go back as one user turn
+                const result = {
+                    type: "tool_result",
+                    tool_use_id: msg.tool_call_id,
+                    content: openAIContentToAnthropic(msg.content),
+                };
+                const prev = messages[messages.length - 1];
+                if (prev?.role === "user" && prev.content.every(b => b.type === "tool_result")) prev.content.push(result);
+                else messages.push({ role: "user", content: [result] });
+                break;
+            }
+            default:
+                throw new InvalidRequestError(`messages: role "${msg?.role}" is not supported`);
+        }
+    }
+
+    const anthropicReq = {
+        model: body.model,
+        messages,
+        stream: body.stream === true,
+    };
+    if (system.length) anthropicReq.system = system;
+    const maxTokens = body.max_completion_tokens ?? body.max_tokens;
+    if (maxTokens != null) anthropicReq.max_tokens = maxTokens;
+    // OpenAI temperatures run 0–2, Anthropic's 0–1
+    if (typeof body.temperature === "number") anthropicReq.temperature = Math.min(body.temperature, 1);
+    if (body.top_p != null) anthropicReq.top_p = body.top_p;
+    if (body.stop != null) anthropicReq.stop_sequences = [body.stop].flat();
+    if (body.user) anthropicReq.metadata = { user_id: body.user };
+
+    const tools = (body.tools || []).filter(t => t?.type === "function").map(t => ({
+        name: t.function?.name,
+        description: t.function?.description,
+        input_schema: t.function?.parameters || { type: "object", properties: {} },
+    }));
+    if (tools.length) anthropicReq.tools = tools;
+    const toolChoice = openAIToolChoiceToAnthropic(body.tool_choice);
+    if (toolChoice) anthropicReq.tool_choice = toolChoice;
+    if (body.parallel_tool_calls === false && tools.length) {
+        anthropicReq.tool_choice = { type: "auto", ...toolChoice, disable_parallel_tool_use: true };
+    }
+    return anthropicReq;
+}
+
+// response_format has no Anthropic equivalent: Gemini models get Google's JSON
+// mode; Claude models aren't constrained upstream, so they get an instruction
+function applyResponseFormat(googlePayload, format) {
+    if (!format || format.type === "text") return;
+    if (format.type !== "json_object" && format.type !== "json_schema") {
+        throw new InvalidRequestError(`response_format.type: must be "text", "json_object" or "json_schema"`);
+    }
+    const schema = format.type === "json_schema" ? format.json_schema?.schema : null;
+    const { request } = googlePayload;
+    if (googlePayload.model.startsWith("claude-")) {
+        request.systemInstruction.parts.push({
+            text: schema
+                ? `Respond only with JSON that matches this JSON schema, with no other text:\n${JSON.stringify(schema)}`
+                : "Respond only with a valid JSON object, with no other text.",
+        });
+    } else {
+        request.generationConfig = { ...request.generationConfig, responseMimeType: "application/json" };
+        if (schema) request.generationConfig.responseJsonSchema = schema;
+    }
+}
+
+function openAIUsage(usage) {
+    // OpenAI counts cached tokens as part of the prompt
+    const cached = usage.cache_read_input_tokens || 0;
+    return {
+        prompt_tokens: usage.input_tokens + cached,
+        completion_tokens: usage.output_tokens,
+        total_tokens: usage.input_tokens + cached + usage.output_tokens,
+        prompt_tokens_details: { cached_tokens: cached },
+    };
+}
+
+const chatCompletionId = () => `chatcmpl-${randomBytes(12).toString("hex")}`;
+
+// Anthropic message → chat.completion
+function anthropicToOpenAI(message) {
+    const text = message.content.filter(b => b.type === "text").map(b => b.text).join("");
+    const reasoning = message.content.filter(b => b.type === "thinking").map(b => b.thinking).join("");
+    const toolCalls = message.content.filter(b => b.type === "tool_use").map(b => ({
+        id: b.id,
+        type: "function",
+        function: { name: b.name, arguments: JSON.stringify(b.input) },
+    }));
+    return {
+        id: chatCompletionId(),
+        object: "chat.completion",
+        created: Math.floor(Date.now() / 1000),
+        model: message.model,
+        choices: [{
+            index: 0,
+            message: {
+                role: "assistant",
+                content: text || (toolCalls.length ? null : ""),
+                ...(reasoning && { reasoning_content: reasoning }),
+                ...(toolCalls.length && { tool_calls: toolCalls }),
+            },
+            finish_reason: OPENAI_FINISH_REASONS[message.stop_reason] || "stop",
+            logprobs: null,
+        }],
+        usage: openAIUsage(message.usage),
+    };
+}
+
+// Event sink for streamGoogleToAnthropic that writes chat.completion.chunk
+// SSE lines instead of Anthropic events
+function createOpenAIStreamWriter(res, includeUsage) {
+    const id = chatCompletionId();
+    let model = null; // from message_start
+    const created = Math.floor(Date.now() / 1000);
+    let toolIndex = -1;
+    let finishReason = null;
+    let usage = { input_tokens: 0, output_tokens: 0 };
+
+    const write = (data) => res.write(`data: ${JSON.stringify(data)}\n\n`);
+    const chunk = (delta, finish_reason = null) => write({
+        id, object: "chat.completion.chunk", created, model,
+        choices: [{ index: 0, delta, finish_reason, logprobs: null }],
+    });
+
+    return (type, data) => {
+        switch (type) {
+            case "message_start":
+                model = data.message.model;
+                chunk({ role: "assistant", content: "" });
+                break;
+            case "ping":
+                res.write(": ping\n\n");
+                break;
+            case "content_block_start":
+                if (data.content_block.type !== "tool_use") break;
+                toolIndex++;
+                chunk({
+                    tool_calls: [{
+                        index: toolIndex,
+                        id: data.content_block.id,
+                        type: "function",
+                        function: { name: data.content_block.name, arguments: "" },
+                    }],
+                });
+                break;
+            case "content_block_delta":
+                if (data.delta.type === "text_delta") chunk({ content: data.delta.text });
+                else if (data.delta.type === "thinking_delta") chunk({ reasoning_content: data.delta.thinking });
+                else if (data.delta.type === "input_json_delta") {
+                    chunk({ tool_calls: [{ index: toolIndex, function: { arguments: data.delta.partial_json } }] });
+                }
+                break;
+            case "message_delta":
+                usage = { ...usage, ...data.usage };
+                if (data.delta.stop_reason) finishReason = OPENAI_FINISH_REASONS[data.delta.stop_reason] || "stop";
+                break;
+            case "message_stop":
+                chunk({}, finishReason || "stop");
+                if (includeUsage) write({ id, object: "chat.completion.chunk", created, model, choices: [], usage: openAIUsage(usage) });
+                res.write("data: [DONE]\n\n");
+                break;
+            case "error":
+                write({ error: openAIError(data.error.type, data.error.message) });
+                break;
+        }
+    };
+}
+
+// ── HTTP Server ─────────────────────────────────────────────────────────
+
+function sendJson(res, status, data) {
+    res.writeHead(status, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(data));
+}
+
+function sendError(res, status, type, message) {
+    sendJson(res, status, { type: "error", error: { type, message } });
+}
+
+function sendOpenAIError(res, status, type, message) {
+    sendJson(res, status, { error: openAIError(type, message) });
+}
+
+async function readBody(req) {
+    const chunks = [];
+    for await (const chunk of req) chunks.push(chunk);
+    return Buffer.concat(chunks).toString();
+}
+
+// GET /v1/models — Anthropic list shape with before_id/after_id/limit paging
+async function handleListModels(res, params) {
+    const models = await listModels();
+    const limit = Math.min(1000, Math.max(1, parseInt(params.get("limit") || "20", 10) || 20));
+    const afterId = params.get("after_id");
+    const beforeId = params.get("before_id");
+
+    let start = 0, end = models.length;
+    if (afterId) start = models.findIndex(m => m.id === afterId) + 1;
+    if (beforeId) end = Math.max(0, models.findIndex(m => m.id === beforeId));
+    // before_id pages backwards: take the `limit` entries closest to the cursor
+    const page = beforeId && !afterId
+        ? models.slice(Math.max(start, end - limit), end)
+        : models.slice(start, Math.min(end, start + limit));
+    const hasMore = beforeId && !afterId
+        ? end - limit > start
+        : start + limit < end;
+
+    sendJson(res, 200, {
+        data: page,
+        has_more: hasMore,
+        first_id: page[0]?.id ?? null,
+        last_id: page[page.length - 1]?.id ?? null,
+    });
+}
 
-        const results = await Promise.allSettled(ENDPOINTS.map(fetchOne));
-        const success = results.find(r => r.status === "fulfilled");
+async function handleGetModel(res, modelId) {
+    const model = (await listModels()).find(m => m.id === modelId);
+    if (!model) return sendError(res, 404, "not_found_error", `model: ${modelId}`);
+    sendJson(res, 200, model);
+}
+
+// OpenAI clients get the same models in OpenAI's shape (no paging)
+const openAIModel = (model) => ({
+    id: model.id,
+    object: "model",
+    created: Math.floor(Date.parse(model.created_at) / 1000),
+    owned_by: "antigravity",
+});
+
+async function handleListOpenAIModels(res) {
+    sendJson(res, 200, { object: "list", data: (await listModels()).map(openAIModel) });
+}
+
+async function handleGetOpenAIModel(res, modelId) {
+    const model = (await listModels()).find(m => m.id === modelId);
+    if (!model) return sendOpenAIError(res, 404, "invalid_request_error", `The model '${modelId}' does not exist`);
+    sendJson(res, 200, openAIModel(model));
+}
+
+async function handleCountTokens(res, anthropicReq) {
+    await resolveMediaUrls(anthropicReq);
+    // Counting is how clients find out a prompt is too long; don't refuse it
+    const googlePayload = convertAnthropicToGoogle(anthropicReq, null, { checkContext: false });
+    requestContext.getStore().usage.mapped_model = googlePayload.model;
+    let inputTokens;
+    try {
+        inputTokens = await countTokensUpstream(googlePayload);
+    } catch (err) {
+        inputTokens = estimateTokens(googlePayload.request);
+        log.warn(`  [count_tokens] upstream failed (${err.message}), estimated ${inputTokens}`);
+    }
+    sendJson(res, 200, { input_tokens: inputTokens });
+}
+
+// cache_control marks on system, tools and message blocks. Upstream caches
+// implicitly by prefix, so they have no equivalent there; they are counted to
+// show next to the cache hit rate.
+function countCacheBreakpoints(anthropicReq) {
+    const blocks = [
+        ...(Array.isArray(anthropicReq.system) ? anthropicReq.system : []),
+        ...(anthropicReq.tools || []),
+        ...(anthropicReq.messages || []).flatMap(m => Array.isArray(m?.content) ? m.content : []),
+    ];
+    return blocks.filter(b => b?.cache_control).length;
+}
+
+// Upstream statuses that move a request down its model's fallback chain
+const FALLBACK_STATUS = new Set([404, 429, 503]);
+
+// Send a converted request upstream and hand the result to the front end:
+// `buildPayload(model)` converts the request for a Google model (the mapped
+// one when called without), `sendEvent(type, data)` receives each Anthropic
+// stream event, `sendMessage` a complete message, `fail(status, type, message)`
+// errors. When the model is rate limited or unavailable the request moves down
+// its fallback chain; `reportModel` puts the model that answered in the
+// response's `model` field. Tokens, account and outcome go into the request's
+// usage ledger entry, which is written when the response closes.
+async function runCompletion(res, anthropicReq, buildPayload, { reportModel, sendEvent, sendMessage, fail }) {
+    let googlePayload = buildPayload();
+    const isStream = anthropicReq.stream === true;
+    const originalModel = anthropicReq.model;
+    const usage = Object.assign(requestContext.getStore().usage, {
+        session: sessionIdFrom(anthropicReq.metadata?.user_id) || conversationKey(anthropicReq),
+        model: originalModel,
+        mapped_model: googlePayload.model,
+        stream: isStream,
+        status: 200,
+    });
+    const onUsage = (usageMetadata) => {
+        usage.input_tokens = usageMetadata.promptTokenCount || 0;
+        usage.output_tokens = (usageMetadata.candidatesTokenCount || 0) + (usageMetadata.thoughtsTokenCount || 0);
+        usage.thinking_tokens = usageMetadata.thoughtsTokenCount || 0;
+        usage.cached_tokens = usageMetadata.cachedContentTokenCount || 0;
+    };
+    const breakpoints = countCacheBreakpoints(anthropicReq);
+    const failed = (status, type, message) => {
+        usage.status = status;
+        usage.error = type;
+        trace("error", { status, type, message }, status >= 500 ? "error" : "warn");
+        fail(status, type, message);
+    };
+    const converted = () => {
+        trace("converted", {
+            model: originalModel, mapped_model: googlePayload.model, stream: isStream,
+            estimated_tokens: estimateTokens(googlePayload.request),
+            ...(usage.fallback_from && { fallback_from: usage.fallback_from }),
+        });
+        capturePayload("upstream_request", googlePayload);
+    };
+    converted();
+
+    // Cancel the upstream call (including retry waits) if the client goes away
+    const controller = new AbortController();
+    res.on("close", () => {
+        if (res.writableEnded) return;
+        log("  [client] disconnected — upstream request cancelled");
+        controller.abort();
+    });
+    const { signal } = controller;
+
+    try {
+        const fallbacks = fallbackChain(googlePayload.model);
         let googleResp;
+        while (!googleResp) {
+            // Add anthropic-beta header for thinking models
+            const extraHeaders = {};
+            if (isThinkingModel(googlePayload.model)) {
+                extraHeaders["anthropic-beta"] = "interleaved-thinking-2025-05-14";
+            }
 
-        if (success) {
-            googleResp = success.value;
-        } else {
-            // Both failed — check for rate limit or unavailable
-            const firstErr = results[0].reason;
-            if (firstErr?.status === 429 || firstErr?.status === 503) {
-                res.writeHead(529, { "Content-Type": "application/json" });
-                res.end(JSON.stringify({
-                    type: "error",
-                    error: {
-                        type: "overloaded_error", message: firstErr.status === 429
-                            ? "Overloaded — Claude rate limited on Antigravity. Try again shortly."
-                            : "Service temporarily unavailable. Try again."
-                    },
-                }));
+            // Primary endpoint first, fallbacks and backoff only on failure
+            try {
+                const { resp, account, endpoint } = await fetchWithAccount("streamGenerateContent", {
+                    payload: account => ({ ...googlePayload, project: account.project_id }),
+                    model: googlePayload.model,
+                    conversation: conversationKey(anthropicReq),
+                    accept: "text/event-stream",
+                    query: "?alt=sse",
+                    extraHeaders,
+                    signal,
+                    // A quota-exhausted model won't recover in a backoff; the next model may answer now
+                    failFast: fallbacks.length > 0,
+                });
+                googleResp = resp;
+                usage.account = account.email;
+                usage.endpoint = endpoint;
+                if (accounts.length > 1) log.debug(`  [accounts] using ${account.email}`);
+            } catch (err) {
+                if (!(err instanceof UpstreamError)) throw err;
+                if (FALLBACK_STATUS.has(err.status) && fallbacks.length > 0) {
+                    const next = fallbacks.shift();
+                    log(`  [fallback] ${googlePayload.model} failed with ${err.status} — trying ${next}`);
+                    countMetric("antigravity_proxy_fallbacks_total", { from: googlePayload.model, to: next });
+                    usage.fallback_from ||= googlePayload.model;
+                    // Thinking config and tool schema flavour depend on the model
+                    try {
+                        googlePayload = buildPayload(next);
+                        converted();
+                    } catch (buildErr) {
+                        // e.g. the prompt is over the fallback model's context window
+                        if (!(buildErr instanceof InvalidRequestError)) throw buildErr;
+                        failed(400, "invalid_request_error", buildErr.message);
+                        return;
+                    }
+                    continue;
+                }
+                // Retry budget spent — report rate limit or unavailable as overloaded
+                if (err.status === 429 || err.status === 503) {
+                    if (err.retryAfterMs != null) res.setHeader("retry-after", String(Math.ceil(err.retryAfterMs / 1000)));
+                    failed(529, "overloaded_error", err.status === 429
+                        ? "Overloaded — Claude rate limited on Antigravity. Try again shortly."
+                        : "Service temporarily unavailable. Try again.");
+                    return;
+                }
+                const tooLong = err.status === 400 && upstreamPromptTooLong(err.errText);
+                if (tooLong) {
+                    log(`  [context] upstream: ${tooLong}`);
+                    failed(400, "invalid_request_error", tooLong);
+                    return;
+                }
+                const errMsg = err.errText.slice(0, 300) || "All endpoints failed";
+                failed(err.status === 400 ? 400 : 500, "api_error", errMsg);
                 return;
             }
-            // Forward the error from production endpoint
-            const errMsg = firstErr?.errText?.slice(0, 300) || "All endpoints failed";
-            log(`[proxy error]`, errMsg);
-            res.writeHead(firstErr?.status === 400 ? 400 : 500, { "Content-Type": "application/json" });
-            res.end(JSON.stringify({
-                type: "error",
-                error: { type: "api_error", message: errMsg },
-            }));
-            return;
         }
+        usage.mapped_model = googlePayload.model;
+        res.setHeader("x-antigravity-model", googlePayload.model);
+        if (usage.fallback_from) {
+            res.setHeader("x-antigravity-fallback-from", usage.fallback_from);
+            log(`  [fallback] ${originalModel}: ${usage.fallback_from} → ${googlePayload.model}`);
+        }
+        const responseModel = reportModel && usage.fallback_from ? googlePayload.model : originalModel;
 
         if (isStream) {
             res.writeHead(200, {
@@ -662,29 +2945,318 @@ const server = http.createServer(async (req, res) => {
                 "Cache-Control": "no-cache",
                 Connection: "keep-alive",
             });
-            await streamGoogleToAnthropic(googleResp, res, originalModel);
+            const events = []; // for PROXY_LOG_PAYLOADS
+            const send = LOG_PAYLOADS ? (type, data) => { events.push({ event: type, data }); sendEvent(type, data); } : sendEvent;
+            usage.error = await streamGoogleToAnthropic(googleResp, send, responseModel, {
+                ...responseOptions(anthropicReq), signal, onUsage,
+            }) || null;
+            res.end();
+            capturePayload("response", events);
         } else {
             // Non-streaming: collect full response
-            const sseText = await googleResp.text();
-            const anthropicResp = convertGoogleSSEToAnthropicStream(sseText, originalModel);
-            res.writeHead(200, { "Content-Type": "application/json" });
-            res.end(JSON.stringify(anthropicResp));
+            let sseText = "";
+            for await (const text of readUpstream(googleResp.body)) sseText += text;
+            const message = convertGoogleSSEToAnthropicStream(sseText, responseModel, { ...responseOptions(anthropicReq), onUsage });
+            capturePayload("response", message);
+            sendMessage(message);
         }
     } catch (err) {
-        log("[proxy error]", err.message);
-        res.writeHead(500, { "Content-Type": "application/json" });
-        res.end(JSON.stringify({
-            type: "error",
-            error: { type: "api_error", message: err.message },
+        if (signal.aborted) {
+            usage.error = "client_disconnected";
+            return;
+        }
+        const { type, status } = streamErrorInfo(err);
+        failed(status, type, err.message);
+    } finally {
+        if (usage.input_tokens) {
+            const rate = Math.round(usage.cached_tokens / usage.input_tokens * 100);
+            log(`  [cache] ${usage.cached_tokens}/${usage.input_tokens} prompt tokens read from cache (${rate}%), ${breakpoints} cache_control breakpoint(s)`);
+        }
+    }
+}
+
+// API routes; each request to one ends as exactly one usage ledger entry
+const API_ROUTES = ["/v1/messages", "/v1/messages/count_tokens", "/v1/chat/completions"];
+
+function newUsage(request, api, path, client) {
+    return {
+        ts: new Date(request.startedAt).toISOString(),
+        api,
+        path,
+        client,
+        account: null,
+        session: null,
+        model: null,
+        mapped_model: null,
+        stream: false,
+        input_tokens: 0,
+        output_tokens: 0,
+        thinking_tokens: 0,
+        cached_tokens: 0,
+        fallback_from: null,
+        endpoint: null,
+        status: null,
+        error: null,
+    };
+}
+
+// Write the ledger entry and metrics of a request once its response has
+// closed — whether it completed, was refused before reaching upstream, or
+// the client went away
+function finishUsage(request, res) {
+    const { usage } = request;
+    usage.latency_ms = Date.now() - request.startedAt;
+    usage.status ??= res.statusCode;
+    if (!res.writableFinished) usage.error ??= "client_disconnected";
+    else if (usage.status >= 400) usage.error ??= "api_error";
+    try { recordUsage(usage); } catch (err) { log.error("[usage] could not write ledger:", err.message); }
+    // Reported when the request completes
+    const { model, mapped_model, account, input_tokens, output_tokens, cached_tokens, fallback_from } = usage;
+    Object.assign(request.summary, {
+        model, mapped_model, account, input_tokens, output_tokens, cached_tokens,
+        ...(fallback_from && { fallback_from }),
+    });
+    recordCompletionMetrics(usage, request);
+}
+
+function recordCompletionMetrics(usage, request) {
+    const { api } = usage;
+    const model = usage.mapped_model || usage.model || "";
+    const client = usage.client || "";
+    countMetric("antigravity_proxy_requests_total", { api, model, status: usage.status, client });
+    observeMetric("antigravity_proxy_request_duration_seconds", { api, model }, usage.latency_ms / 1000);
+    if (request?.firstByteAt) {
+        observeMetric("antigravity_proxy_time_to_first_token_seconds", { api, model }, (request.firstByteAt - request.startedAt) / 1000);
+    }
+    for (const type of ["input", "output", "cached", "thinking"]) {
+        const tokens = usage[`${type}_tokens`];
+        if (tokens) countMetric("antigravity_proxy_tokens_total", { model, type, client }, tokens);
+    }
+}
+
+// GET /usage — ledger totals grouped by day, model, session or account, plus
+// the remaining quota upstream reports per model
+async function handleUsage(res, params) {
+    const by = params.get("by") || "day";
+    if (!USAGE_GROUPS[by]) {
+        return sendError(res, 400, "invalid_request_error", `by: must be one of ${Object.keys(USAGE_GROUPS).join(", ")}`);
+    }
+    const since = params.get("since") || undefined;
+    const quota = {};
+    for (const [id, info] of Object.entries(await fetchAvailableModels())) {
+        if (!info.quotaInfo) continue;
+        quota[id] = { remaining_fraction: info.quotaInfo.remainingFraction ?? null, reset_time: info.quotaInfo.resetTime ?? null };
+    }
+    sendJson(res, 200, { ...summarizeUsage(await readLedger({ since }), by), since: since ?? null, quota });
+}
+
+// GET /health — the process is up and serving; says nothing about upstream
+function handleHealth(res) {
+    sendJson(res, 200, { status: "ok", uptime_s: Math.round(process.uptime()) });
+}
+
+// How long /ready reports a failed token refresh before trying it again, so
+// frequent probes don't keep asking Google about a revoked token
+const READY_REFRESH_RETRY_MS = 5 * 60 * 1000;
+
+// GET /ready — whether requests can be served now: some account has a token
+// that refreshes and a known project, and some upstream endpoint is in
+// rotation. 503 with the problems found otherwise.
+async function handleReady(res) {
+    const now = Date.now();
+    const problems = [];
+    const accountStatus = await Promise.all(accounts.map(async (account) => {
+        const status = { email: account.email, project: account.project_id || null, token: "ok", cooling_down: coolingModels(account, now) };
+        const failure = stateOf(account).refreshFailure;
+        try {
+            if (failure && now - failure.at < READY_REFRESH_RETRY_MS && now >= (account.expires_at || 0)) throw new Error(failure.message);
+            await getToken(account);
+        } catch (err) { status.token = err.message; problems.push(err.message); }
+        if (!status.project) problems.push(`${account.email}: no project — run: node setup.mjs login`);
+        return status;
+    }));
+    const endpoints = upstreamEndpoints().map(ep => ({ endpoint: ep, in_rotation: breakerOf(ep).openUntil <= now }));
+    const usableAccount = accountStatus.some(a => a.token === "ok" && a.project);
+    const liveEndpoint = endpoints.some(e => e.in_rotation);
+    if (!usableAccount) problems.unshift("no account can be used");
+    if (!liveEndpoint) problems.unshift("every upstream endpoint is failing");
+    const ready = usableAccount && liveEndpoint;
+    sendJson(res, ready ? 200 : 503, {
+        status: ready ? "ready" : "not_ready",
+        problems,
+        accounts: accountStatus,
+        endpoints,
+        last_upstream: lastUpstream,
+    });
+}
+
+// GET /metrics — Prometheus text format
+function handleMetrics(res) {
+    const now = Date.now();
+    const cooling = accounts.filter(a => coolingModels(a, now).length > 0).length;
+    const text = renderMetrics([
+        {
+            name: "antigravity_proxy_accounts", help: "Accounts in the pool, by state (cooling_down: rate limited on some model)",
+            samples: [{ labels: { state: "available" }, value: accounts.length - cooling }, { labels: { state: "cooling_down" }, value: cooling }],
+        },
+        {
+            name: "antigravity_proxy_endpoint_up", help: "Whether an upstream endpoint is in rotation (0 while its circuit breaker is open)",
+            samples: upstreamEndpoints().map(ep => ({ labels: { endpoint: ep }, value: breakerOf(ep).openUntil > now ? 0 : 1 })),
+        },
+        {
+            name: "process_start_time_seconds", help: "Start time of the process since the Unix epoch, in seconds",
+            samples: [{ value: Date.parse(STARTED_AT) / 1000 }],
+        },
+    ]);
+    res.writeHead(200, { "Content-Type": "text/plain; version=0.0.4; charset=utf-8" });
+    res.end(text);
+}
+
+async function handleMessages(res, anthropicReq, client, reportModel) {
+    await resolveMediaUrls(anthropicReq);
+    await runCompletion(res, anthropicReq, (model) => convertAnthropicToGoogle(anthropicReq, model), {
+        reportModel,
+        sendEvent: (type, data) => writeEvent(res, type, data),
+        sendMessage: (message) => sendJson(res, 200, message),
+        fail: (status, type, message) => sendError(res, status, type, message),
+    });
+}
+
+async function handleChatCompletions(res, body, client, reportModel) {
+    const anthropicReq = openAIToAnthropic(body);
+    await resolveMediaUrls(anthropicReq);
+    const buildPayload = (model) => {
+        const googlePayload = convertAnthropicToGoogle(anthropicReq, model);
+        applyResponseFormat(googlePayload, body.response_format);
+        return googlePayload;
+    };
+    await runCompletion(res, anthropicReq, buildPayload, {
+        reportModel,
+        sendEvent: createOpenAIStreamWriter(res, body.stream_options?.include_usage === true),
+        sendMessage: (message) => sendJson(res, 200, anthropicToOpenAI(message)),
+        fail: (status, type, message) => sendOpenAIError(res, status, type, message),
+    });
+}
+
+
+// Health checks and scrapes, polled often — logged at debug level only
+const PROBE_PATHS = new Set(["/health", "/ready", "/metrics"]);
+
+// Every exchange gets an ID, returned in the request-id header and carried by
+// its log lines from arrival to completion
+function handleRequest(req, res) {
+    const request = { id: `req_${randomBytes(12).toString("hex")}`, startedAt: Date.now(), summary: {} };
+    res.setHeader("request-id", request.id);
+    const level = PROBE_PATHS.has((req.url || "").split("?")[0]) ? "debug" : "info";
+    return requestContext.run(request, () => {
+        trace("received", { method: req.method, path: req.url, remote: req.socket.remoteAddress }, level);
+        res.on("close", () => requestContext.run(request, () => {
+            if (request.usage) finishUsage(request, res);
+            trace("completed", {
+                status: res.statusCode, ...request.summary, ...(!res.writableFinished && { aborted: true }),
+            }, level);
         }));
+        return routeRequest(req, res);
+    });
+}
+
+async function routeRequest(req, res) {
+    const { pathname, searchParams } = new URL(req.url || "/", "http://localhost");
+    // Anthropic SDKs always send anthropic-version; anything else gets OpenAI shapes
+    const isOpenAI = pathname === "/v1/chat/completions" ||
+        (pathname.startsWith("/v1/models") && !req.headers["anthropic-version"]);
+    const request = requestContext.getStore();
+    const sendFailure = isOpenAI ? sendOpenAIError : sendError;
+    const fail = (res, status, type, message) => {
+        if (request.usage) request.usage.error ??= type;
+        sendFailure(res, status, type, message);
+    };
+
+    // Liveness reveals nothing, so load balancers and launchers need no key
+    if (req.method === "GET" && pathname === "/health") return handleHealth(res);
+    if (!allowOrigin(req, res)) return fail(res, 403, "permission_error", `Origin ${req.headers.origin} is not allowed`);
+    if (req.method === "OPTIONS") { res.writeHead(204); res.end(); return; }
+
+    const client = authenticate(req);
+    if (!client) {
+        return fail(res, 401, "authentication_error", config.apiKeys.size
+            ? "Invalid API key" : "This proxy only accepts local clients until API keys are configured");
     }
-});
+    request.summary.client = client.name;
+    if (req.method === "POST" && API_ROUTES.includes(pathname)) {
+        request.usage = newUsage(request, isOpenAI ? "openai" : "anthropic", pathname, client.name);
+    }
+    // Not rate limited: a scraper shouldn't use up its key's budget
+    if (req.method === "GET" && pathname === "/ready") return await handleReady(res);
+    if (req.method === "GET" && pathname === "/metrics") return handleMetrics(res);
+    const wait = rateLimitWait(client);
+    if (wait) {
+        res.setHeader("retry-after", String(Math.ceil(wait / 1000)));
+        return fail(res, 429, "rate_limit_error", `${client.name}: over the limit of ${client.requestsPerMinute} requests per minute`);
+    }
+
+    try {
+        if (req.method === "GET" && pathname === "/v1/models") {
+            return await (isOpenAI ? handleListOpenAIModels(res) : handleListModels(res, searchParams));
+        }
+        if (req.method === "GET" && pathname.startsWith("/v1/models/")) {
+            const modelId = decodeURIComponent(pathname.slice("/v1/models/".length));
+            return await (isOpenAI ? handleGetOpenAIModel(res, modelId) : handleGetModel(res, modelId));
+        }
+        if (req.method === "GET" && pathname === "/usage") {
+            return await handleUsage(res, searchParams);
+        }
+        if (!request.usage) {
+            return sendError(res, 404, "not_found_error", `${req.method} ${pathname} not found`);
+        }
+
+        let body;
+        try { body = JSON.parse(await readBody(req)); }
+        catch { return fail(res, 400, "invalid_request_error", "Invalid JSON"); }
+        Object.assign(request.usage, { model: body?.model ?? null, stream: body?.stream === true });
+        capturePayload("request", { headers: req.headers, body });
+
+        // Opt-in: report the model that answered (after a fallback) in the response's `model`
+        const reportModel = req.headers["x-antigravity-report-model"] === "served";
+        if (pathname === "/v1/chat/completions") return await handleChatCompletions(res, body, client, reportModel);
+        if (pathname === "/v1/messages/count_tokens") return await handleCountTokens(res, body);
+        await handleMessages(res, body, client, reportModel);
+    } catch (err) {
+        if (err instanceof InvalidRequestError) {
+            trace("error", { status: 400, type: "invalid_request_error", message: err.message }, "warn");
+            return fail(res, 400, "invalid_request_error", err.message);
+        }
+        trace("error", { status: 500, type: "api_error", message: err.message }, "error");
+        if (!res.headersSent) fail(res, 500, "api_error", err.message);
+        else res.end();
+    }
+}
+
+if (!TLS_CERT !== !TLS_KEY) {
+    console.error("❌ Set both PROXY_TLS_CERT and PROXY_TLS_KEY to serve HTTPS.");
+    process.exit(1);
+}
+if (!isLoopback(HOST) && config.apiKeys.size === 0) {
+    console.error(`❌ Refusing to listen on ${HOST} without API keys — anyone who can reach it could use your subscription.`);
+    console.error("   Set PROXY_API_KEYS or server.api_keys in the config file.");
+    process.exit(1);
+}
+
+const server = TLS_CERT
+    ? https.createServer({ cert: readFileSync(TLS_CERT), key: readFileSync(TLS_KEY) }, handleRequest)
+    : http.createServer(handleRequest);
 
-server.listen(PORT, () => {
-    const msg = `🚀 Antigravity Proxy running on http://localhost:${PORT}\n   Log: ${LOG_PATH}`;
+server.listen(PORT, HOST, () => {
+    const url = `${TLS_CERT ? "https" : "http"}://${HOST.includes(":") ? `[${HOST}]` : HOST}:${PORT}`;
+    const msg = `🚀 Antigravity Proxy running on ${url}\n   Log: ${LOG_PATH}`;
     console.log(msg);
-    log(`--- Proxy started on :${PORT} ---`);
-    log(`   Endpoint: ${SANDBOX_EP}/v1internal:streamGenerateContent?alt=sse`);
-    log(`   Project: ${creds.project_id}`);
+    log(`--- Proxy started on ${url} ---`);
+    log(`   Clients: ${config.apiKeys.size ? `${config.apiKeys.size} API key(s)` : "local only, no API key"}`);
+    log(`   Endpoints: ${upstreamEndpoints().join(" → ")}`);
+    for (const account of accounts) log(`   Account: ${account.email} (project ${account.project_id})`);
     log(`   Models: claude-sonnet-4-5, claude-opus-4-6-thinking, claude-sonnet-4-5-thinking`);
+    // Best effort, not awaited: requests are served with the stored projects
+    // meanwhile. Failures are only logged (checkProjects catches them), and an
+    // account whose check fails keeps its stored project unchanged.
+    checkProjects();
 });
@@ -9,16 +9,45 @@
  * Antigravity IDE — nothing is hardcoded in this source code.
  *
  * Usage:
- *   node setup.mjs login    # First-time setup (opens browser)
- *   node setup.mjs refresh  # Refresh access token
+ *   node setup.mjs login           # Add a Google account (opens browser)
+ *       [--no-browser]             #   print the sign-in URL and paste the redirect back (SSH, containers)
+ *       [--port <n>]               #   local OAuth callback port (default 51121)
+ *       [--timeout <seconds>]      #   give up on an unfinished sign-in (default 300)
+ *   node setup.mjs import [file]   # Import accounts already signed in to Antigravity tools
+ *   node setup.mjs list            # List stored accounts
+ *   node setup.mjs status          # Check every account's tokens and how credentials are stored
+ *   node setup.mjs whoami          # Show who Google says each account is
+ *   node setup.mjs remove <email>  # Remove a stored account
+ *   node setup.mjs logout [email]  # Revoke at Google and remove one account, or all of them
+ *   node setup.mjs refresh         # Refresh access tokens of all accounts
+ *   node setup.mjs encrypt|decrypt # Store credentials with/without PROXY_CREDENTIALS_PASSPHRASE
+ *   node setup.mjs usage [day|model|session|account|client] [--since YYYY-MM-DD]
+ *                                  # Summarize the proxy's usage ledger and remaining quota
+ *   node setup.mjs logs            # Show the end of the proxy log
+ *       [--request <id>] [--model <id>] [--status <code>]
+ *                                  #   only requests with this ID (or prefix), model or final HTTP status
+ *       [--level <level>]          #   only debug / info / warn / error and above
+ *       [--lines <n>]              #   how many lines to show (default 50, 0 for all)
+ *       [--follow] [--json]        #   keep printing new lines / print them as raw JSON
+ *
+ * login and import take --project <id> to use a specific Google Cloud project
+ * (some Code Assist tiers need one); without it an account that has no project
+ * yet is onboarded automatically.
  */
 
 import { createHash, randomBytes } from "node:crypto";
 import { createServer } from "node:http";
-import { writeFileSync, readFileSync, existsSync, readdirSync } from "node:fs";
+import { readFileSync, existsSync, readdirSync, statSync, openSync, readSync, closeSync } from "node:fs";
 import { execSync } from "node:child_process";
+import { createInterface } from "node:readline";
 import { homedir, platform } from "node:os";
 import { join } from "node:path";
+import {
+    CREDS_PATH, readAccounts, writeAccounts, updateAccount, deleteCredentials, storageInfo,
+    refreshAccessToken, revokeAccount,
+} from "./credentials.mjs";
+import { LEDGER_PATH, readLedger, summarizeUsage } from "./usage.mjs";
+import { LOG_PATH, LOG_LEVELS, readLog, parseLogLine, requestMatches, formatLogEntry } from "./logs.mjs";
 
 // ── Auto-detect OAuth credentials from installed Antigravity IDE ────────
 
@@ -35,20 +64,6 @@ function findAntigravityCredentials() {
         join(home, ".config", "Antigravity"),
     ];
 
-    // Also check Antigravity Cockpit shared credentials
-    const cockpitCreds = join(home, ".antigravity_cockpit", "credentials.json");
-    if (existsSync(cockpitCreds)) {
-        try {
-            const data = JSON.parse(readFileSync(cockpitCreds, "utf-8"));
-            const accounts = data.accounts || {};
-            const firstAccount = Object.values(accounts)[0];
-            if (firstAccount?.refreshToken) {
-                console.log("  Found existing Antigravity Cockpit credentials");
-                // We still need the client ID/secret from the extension
-            }
-        } catch { }
-    }
-
     // Regex patterns to find OAuth client ID and secret in extension JS files
     const clientIdPattern = /["'](\d{12}-[a-z0-9]+\.apps\.googleusercontent\.com)["']/;
     const clientSecretPattern = /["'](GOCSPX-[A-Za-z0-9_-]+)["']/;
@@ -124,7 +139,9 @@ function loadCredentials() {
     CLIENT_SECRET = found.clientSecret;
 }
 
-const REDIRECT_URI = "http://localhost:51121/oauth-callback";
+const DEFAULT_CALLBACK_PORT = 51121;
+const DEFAULT_LOGIN_TIMEOUT_S = 300;
+const redirectUri = (port) => `http://localhost:${port}/oauth-callback`;
 const AUTH_URL = "https://accounts.google.com/o/oauth2/v2/auth";
 const TOKEN_URL = "https://oauth2.googleapis.com/token";
 
@@ -137,7 +154,7 @@ const SCOPES = [
 ];
 
 const CODE_ASSIST_URL = "https://cloudcode-pa.googleapis.com";
-const CREDS_PATH = join(homedir(), ".claude-code-via-antigravity-credentials.json");
+const USERINFO_URL = "https://www.googleapis.com/oauth2/v1/userinfo?alt=json";
 
 // ── PKCE ────────────────────────────────────────────────────────────────
 function generatePkce() {
@@ -146,11 +163,11 @@ function generatePkce() {
     return { verifier, challenge };
 }
 
-function buildAuthUrl(challenge, state) {
+function buildAuthUrl(challenge, state, port) {
     const url = new URL(AUTH_URL);
     url.searchParams.set("client_id", CLIENT_ID);
     url.searchParams.set("response_type", "code");
-    url.searchParams.set("redirect_uri", REDIRECT_URI);
+    url.searchParams.set("redirect_uri", redirectUri(port));
     url.searchParams.set("scope", SCOPES.join(" "));
     url.searchParams.set("code_challenge", challenge);
     url.searchParams.set("code_challenge_method", "S256");
@@ -161,7 +178,7 @@ function buildAuthUrl(challenge, state) {
 }
 
 // ── Token Exchange ──────────────────────────────────────────────────────
-async function exchangeCode(code, verifier) {
+async function exchangeCode(code, verifier, port) {
     const response = await fetch(TOKEN_URL, {
         method: "POST",
         headers: { "Content-Type": "application/x-www-form-urlencoded" },
@@ -170,7 +187,7 @@ async function exchangeCode(code, verifier) {
             client_secret: CLIENT_SECRET,
             code,
             grant_type: "authorization_code",
-            redirect_uri: REDIRECT_URI,
+            redirect_uri: redirectUri(port),
             code_verifier: verifier,
         }),
     });
@@ -188,140 +205,248 @@ async function exchangeCode(code, verifier) {
     };
 }
 
-async function refreshAccessToken(refreshToken) {
-    const response = await fetch(TOKEN_URL, {
-        method: "POST",
-        headers: { "Content-Type": "application/x-www-form-urlencoded" },
-        body: new URLSearchParams({
-            client_id: CLIENT_ID,
-            client_secret: CLIENT_SECRET,
-            refresh_token: refreshToken,
-            grant_type: "refresh_token",
+// The account's access token, refreshed (and saved) first if it has expired
+async function freshToken(creds) {
+    if (Date.now() < (creds.expires_at || 0)) return creds.access_token;
+    const tokens = await refreshAccessToken(creds);
+    Object.assign(creds, tokens);
+    updateAccount(creds.email, tokens);
+    return tokens.access_token;
+}
+
+// ── Project ID ──────────────────────────────────────────────────────────
+function codeAssistHeaders(accessToken) {
+    return {
+        Authorization: `Bearer ${accessToken}`,
+        "Content-Type": "application/json",
+        "User-Agent": "claude-code-via-antigravity",
+        "X-Goog-Api-Client": "google-cloud-sdk vscode_cloudshelleditor/0.1",
+        "Client-Metadata": JSON.stringify({
+            ideType: "IDE_UNSPECIFIED",
+            platform: "PLATFORM_UNSPECIFIED",
+            pluginType: "GEMINI",
         }),
-    });
+    };
+}
 
-    if (!response.ok) throw new Error("Token refresh failed");
+async function codeAssist(method, accessToken, body) {
+    const response = await fetch(`${CODE_ASSIST_URL}/v1internal:${method}`, {
+        method: "POST",
+        headers: codeAssistHeaders(accessToken),
+        body: JSON.stringify(body),
+    });
+    if (!response.ok) throw new Error(`${method} failed: ${response.status} ${(await response.text()).slice(0, 300)}`);
+    return response.json();
+}
 
-    const data = await response.json();
+function codeAssistMetadata(projectId) {
     return {
-        access_token: data.access_token,
-        expires_at: Date.now() + (data.expires_in ?? 0) * 1000 - 5 * 60 * 1000,
+        ideType: "IDE_UNSPECIFIED",
+        platform: "PLATFORM_UNSPECIFIED",
+        pluginType: "GEMINI",
+        ...(projectId && { duetProject: projectId }),
     };
 }
 
-// ── Fetch Project ID ────────────────────────────────────────────────────
-async function fetchProjectId(accessToken) {
-    const response = await fetch(`${CODE_ASSIST_URL}/v1internal:loadCodeAssist`, {
-        method: "POST",
-        headers: {
-            Authorization: `Bearer ${accessToken}`,
-            "Content-Type": "application/json",
-            "User-Agent": "claude-code-via-antigravity",
-            "X-Goog-Api-Client": "google-cloud-sdk vscode_cloudshelleditor/0.1",
-            "Client-Metadata": JSON.stringify({
-                ideType: "IDE_UNSPECIFIED",
-                platform: "PLATFORM_UNSPECIFIED",
-                pluginType: "GEMINI",
-            }),
-        },
-        body: JSON.stringify({
-            metadata: {
-                ideType: "IDE_UNSPECIFIED",
-                platform: "PLATFORM_UNSPECIFIED",
-                pluginType: "GEMINI",
-            },
-        }),
+const projectIdOf = (project) => project?.id || (typeof project === "string" && project) || null;
+
+const ONBOARD_POLL_MS = 5000;
+const ONBOARD_TIMEOUT_MS = 120000;
+
+// The account's Code Assist project. An account that has none yet (a new
+// subscriber who never opened the IDE) is onboarded to its default tier here,
+// polling the long-running operation until a project is provisioned. Tiers
+// that need the user's own Cloud project take it from `explicitProject`.
+async function resolveProject(accessToken, explicitProject) {
+    const loaded = await codeAssist("loadCodeAssist", accessToken, {
+        cloudaicompanionProject: explicitProject || undefined,
+        metadata: codeAssistMetadata(explicitProject),
     });
+    const assigned = projectIdOf(loaded.cloudaicompanionProject);
+    if (loaded.currentTier && (explicitProject || assigned)) return explicitProject || assigned;
+
+    const tiers = loaded.allowedTiers || [];
+    const tier = tiers.find(t => t.id === loaded.currentTier?.id) || tiers.find(t => t.isDefault) || tiers[0];
+    if (!tier) throw new Error("No Code Assist tier is available to this account. Make sure you have an active Antigravity/Code Assist subscription.");
+    if (tier.userDefinedCloudaicompanionProject && !explicitProject) {
+        throw new Error(`The ${tier.name || tier.id} tier needs your own Google Cloud project — run again with --project <id>`);
+    }
 
-    if (!response.ok) {
-        const text = await response.text();
-        console.error("loadCodeAssist error:", text);
-        return null;
+    console.log(`  No project yet — onboarding to the ${tier.name || tier.id} tier (this can take a minute)...`);
+    const request = {
+        tierId: tier.id,
+        metadata: codeAssistMetadata(explicitProject),
+        ...(tier.userDefinedCloudaicompanionProject && { cloudaicompanionProject: explicitProject }),
+    };
+    const deadline = Date.now() + ONBOARD_TIMEOUT_MS;
+    let operation = await codeAssist("onboardUser", accessToken, request);
+    while (!operation.done) {
+        if (Date.now() > deadline) throw new Error(`Onboarding did not finish within ${ONBOARD_TIMEOUT_MS / 1000}s — try again in a few minutes`);
+        await new Promise(resolve => setTimeout(resolve, ONBOARD_POLL_MS));
+        operation = await codeAssist("onboardUser", accessToken, request);
     }
+    if (operation.error) throw new Error(`Onboarding failed: ${operation.error.message || JSON.stringify(operation.error)}`);
+    const project = projectIdOf(operation.response?.cloudaicompanionProject) || explicitProject;
+    if (!project) throw new Error("Onboarding finished without a project — pass one with --project <id>");
+    return project;
+}
 
-    const data = await response.json();
-    return data.cloudaicompanionProject?.id
-        || (typeof data.cloudaicompanionProject === "string" ? data.cloudaicompanionProject : null);
+async function fetchEmail(accessToken) {
+    try {
+        const res = await fetch(USERINFO_URL, { headers: { Authorization: `Bearer ${accessToken}` } });
+        if (res.ok) return (await res.json()).email || null;
+    } catch { }
+    return null;
 }
 
 // ── Open Browser (cross-platform) ──────────────────────────────────────
+// Returns false if no browser could be started
 function openBrowser(url) {
     const os = platform();
     try {
         if (os === "win32") execSync(`start "" "${url}"`);
         else if (os === "darwin") execSync(`open "${url}"`);
         else execSync(`xdg-open "${url}" 2>/dev/null`);
+        return true;
     } catch {
-        console.log("\n  Could not open browser. Please open this URL manually:\n");
-        console.log(`  ${url}\n`);
+        return false;
     }
 }
 
-// ── OAuth Callback Server ───────────────────────────────────────────────
-function startCallbackServer() {
-    return new Promise((resolve, reject) => {
-        const server = createServer((req, res) => {
+// ── OAuth Callback ──────────────────────────────────────────────────────
+// Google redirects the browser to the local callback server. When the browser
+// runs on another machine that redirect fails to load, so the user pastes the
+// URL from its address bar (or just the code) instead. Each waiter below is
+// { result: Promise, close() } so the login can race them and clean up.
+
+// A redirect URL, its query string, or a bare authorization code
+function parseCallback(input) {
+    const text = input.trim();
+    if (!/^https?:\/\/|[?&](code|error)=/.test(text)) return { code: text, bareCode: true };
+    const params = new URL(text, "http://localhost").searchParams;
+    return { code: params.get("code"), state: params.get("state"), error: params.get("error") };
+}
+
+function startCallbackServer(port, { required }) {
+    let server;
+    const result = new Promise((resolve, reject) => {
+        server = createServer((req, res) => {
             if (!req.url?.startsWith("/oauth-callback")) {
                 res.writeHead(404);
                 res.end("Not found");
                 return;
             }
-            const url = new URL(req.url, "http://localhost:51121");
+            const callback = parseCallback(`http://localhost${req.url}`);
             res.writeHead(200, { "Content-Type": "text/html" });
-            res.end("<h1>✅ Authentication successful! You can close this tab.</h1>");
-            server.close();
-            resolve({
-                code: url.searchParams.get("code"),
-                state: url.searchParams.get("state"),
-            });
+            res.end(callback.error
+                ? "<h1>❌ Authentication was not completed. Check the terminal.</h1>"
+                : "<h1>✅ Authentication successful! You can close this tab.</h1>");
+            resolve(callback);
         });
-        server.listen(51121, "127.0.0.1", () => {
-            console.log("  OAuth callback server listening on port 51121...");
+        server.listen(port, "127.0.0.1", () => {
+            if (required) console.log(`  OAuth callback server listening on port ${port}...`);
         });
-        server.on("error", reject);
+        server.on("error", (err) => {
+            const reason = err.code === "EADDRINUSE" ? `port ${port} is in use (choose another with --port)` : err.message;
+            // Pasting still works without it
+            if (!required) return console.log(`  Callback server unavailable: ${reason}`);
+            reject(new Error(`Could not start the OAuth callback server: ${reason}`));
+        });
+    });
+    return { result, close: () => server.close() };
+}
+
+function promptForRedirect() {
+    const rl = createInterface({ input: process.stdin, output: process.stdout });
+    const result = new Promise((resolve) => {
+        rl.on("line", (line) => {
+            if (line.trim()) resolve(parseCallback(line));
+            else rl.prompt();
+        });
+    });
+    rl.setPrompt("  Redirect URL or code: ");
+    rl.prompt();
+    return { result, close: () => rl.close() };
+}
+
+function loginTimeout(seconds) {
+    let timer;
+    const result = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error(
+            `Sign-in not completed within ${seconds}s — run "node setup.mjs login" again (or raise --timeout)`)), seconds * 1000);
     });
+    return { result, close: () => clearTimeout(timer) };
 }
 
 // ── Login Flow ──────────────────────────────────────────────────────────
-async function login() {
+// Value following `--name` in the arguments, or `fallback`
+function option(args, name, fallback) {
+    const i = args.indexOf(name);
+    if (i < 0) return fallback;
+    if (!args[i + 1] || args[i + 1].startsWith("--")) throw new Error(`${name} needs a value`);
+    return args[i + 1];
+}
+
+function loginOptions(args) {
+    const number = (name, fallback) => {
+        const value = parseInt(option(args, name, fallback), 10);
+        if (!(value > 0)) throw new Error(`${name} needs a positive number`);
+        return value;
+    };
+    return {
+        noBrowser: args.includes("--no-browser"),
+        port: number("--port", DEFAULT_CALLBACK_PORT),
+        timeout: number("--timeout", DEFAULT_LOGIN_TIMEOUT_S),
+        project: option(args, "--project", null),
+    };
+}
+
+async function login(args) {
+    const { noBrowser, port, timeout, project } = loginOptions(args);
     console.log("\n🔐 Starting OAuth authentication...\n");
     console.log("  Detecting Antigravity installation...");
     loadCredentials();
 
     const { verifier, challenge } = generatePkce();
     const state = randomBytes(16).toString("hex");
-    const authUrl = buildAuthUrl(challenge, state);
+    const authUrl = buildAuthUrl(challenge, state, port);
 
-    const callbackPromise = startCallbackServer();
-
-    console.log("  Opening browser...\n");
-    openBrowser(authUrl);
+    let paste = noBrowser;
+    if (!noBrowser) {
+        console.log("  Opening browser...\n");
+        paste = !openBrowser(authUrl);
+        if (paste) console.log("  Could not open a browser.");
+    }
+    const waiters = [startCallbackServer(port, { required: !paste }), loginTimeout(timeout)];
+    if (paste) {
+        console.log("\n  Open this URL in a browser on any machine and sign in:\n");
+        console.log(`  ${authUrl}\n`);
+        console.log(`  The browser then tries to load http://localhost:${port}/oauth-callback?code=…`);
+        console.log("  If that page doesn't load, copy the whole URL from the address bar and paste it here.\n");
+        waiters.push(promptForRedirect());
+    }
 
-    const { code, state: returnedState } = await callbackPromise;
-    if (!code) throw new Error("No OAuth code received");
-    if (returnedState !== state) throw new Error("OAuth state mismatch");
+    let callback;
+    try {
+        callback = await Promise.race(waiters.map(w => w.result));
+    } finally {
+        for (const w of waiters) w.close();
+    }
+    if (callback.error) throw new Error(`Google did not complete the sign-in: ${callback.error}`);
+    if (!callback.code) throw new Error("No OAuth code received");
+    // A bare pasted code carries no state; PKCE still ties it to this login
+    if (!callback.bareCode && callback.state !== state) {
+        throw new Error("OAuth state mismatch — that redirect belongs to a different login attempt");
+    }
 
     console.log("\n  Exchanging token...");
-    const tokens = await exchangeCode(code, verifier);
+    const tokens = await exchangeCode(callback.code, verifier, port);
 
     console.log("  Fetching project ID...");
-    const projectId = await fetchProjectId(tokens.access_token);
-
-    if (!projectId) {
-        console.error("\n❌ Could not fetch project ID. Make sure you have an active Antigravity/Code Assist subscription.");
-        process.exit(1);
-    }
+    const projectId = await resolveProject(tokens.access_token, project);
 
-    // Get email
-    let email = "unknown";
-    try {
-        const res = await fetch("https://www.googleapis.com/oauth2/v1/userinfo?alt=json", {
-            headers: { Authorization: `Bearer ${tokens.access_token}` },
-        });
-        if (res.ok) email = (await res.json()).email || "unknown";
-    } catch { }
-
-    // Save credentials
+    // Add to the account pool, replacing an earlier login of the same account
+    const email = await fetchEmail(tokens.access_token) || `unknown-${projectId}`;
     const creds = {
         ...tokens,
         project_id: projectId,
@@ -329,11 +454,14 @@ async function login() {
         client_id: CLIENT_ID,
         client_secret: CLIENT_SECRET,
     };
-    writeFileSync(CREDS_PATH, JSON.stringify(creds, null, 2));
+    const accounts = readAccounts().filter(a => a.email !== email);
+    accounts.push(creds);
+    writeAccounts(accounts);
 
     console.log(`\n✅ Authentication successful!`);
     console.log(`   Email:       ${email}`);
     console.log(`   Project:     ${projectId}`);
+    console.log(`   Accounts:    ${accounts.length} (add another with: node setup.mjs login)`);
     console.log(`   Credentials: ${CREDS_PATH}`);
     console.log(`\n🚀 Start Claude Code:\n`);
     if (platform() === "win32") {
@@ -343,31 +471,347 @@ async function login() {
     }
 }
 
+// ── Import Command ──────────────────────────────────────────────────────
+// Other Antigravity tools keep refresh tokens issued to the same OAuth client,
+// so an account signed in there can be used here without another login.
+const IMPORT_SOURCES = [
+    { name: "Antigravity Cockpit", path: join(homedir(), ".antigravity_cockpit", "credentials.json") },
+    { name: "OpenCode Antigravity auth", path: join(homedir(), ".config", "opencode", "antigravity-accounts.json") },
+];
+
+// Accounts with a refresh token, from a list or an object keyed by email/ID;
+// field names are accepted in either camelCase or snake_case
+function importableAccounts(data) {
+    const list = Array.isArray(data) ? data
+        : Array.isArray(data?.accounts) ? data.accounts
+            : Object.entries(data?.accounts || {}).map(([key, a]) => ({ ...(key.includes("@") && { email: key }), ...a }));
+    return list.filter(a => a && typeof a === "object").map(a => ({
+        email: a.email,
+        refresh_token: a.refreshToken || a.refresh_token,
+        project_id: a.projectId || a.project_id,
+        client_id: a.clientId || a.client_id,
+        client_secret: a.clientSecret || a.client_secret,
+    })).filter(a => typeof a.refresh_token === "string" && a.refresh_token);
+}
+
+async function importAccounts(args) {
+    const project = option(args, "--project", null);
+    const file = args.find((arg, i) => !arg.startsWith("--") && args[i - 1] !== "--project");
+    const sources = file ? [{ name: file, path: file }] : IMPORT_SOURCES;
+    const found = [];
+    for (const source of sources) {
+        if (!existsSync(source.path)) continue;
+        try {
+            const accounts = importableAccounts(JSON.parse(readFileSync(source.path, "utf-8")));
+            console.log(`  ${source.name}: ${accounts.length} account(s) in ${source.path}`);
+            found.push(...accounts);
+        } catch (err) {
+            console.log(`  ${source.name}: unreadable (${err.message})`);
+        }
+    }
+    if (found.length === 0) {
+        console.error(`\n❌ No accounts to import${file ? ` in ${file}` : ` (looked in: ${IMPORT_SOURCES.map(s => s.path).join(", ")})`}`);
+        console.error("   Sign in with: node setup.mjs login");
+        process.exit(1);
+    }
+
+    // Only entries without their own OAuth client need the IDE's
+    if (found.some(entry => !entry.client_id || !entry.client_secret)) {
+        console.log("\n  Detecting Antigravity installation...");
+        const ide = findAntigravityCredentials();
+        if (ide) {
+            CLIENT_ID = ide.clientId;
+            CLIENT_SECRET = ide.clientSecret;
+        } else {
+            console.log("  Antigravity IDE not found — accounts stored without an OAuth client can't be imported");
+        }
+    }
+
+    let imported = 0;
+    for (const entry of found) {
+        const label = entry.email || `account with project ${entry.project_id || "?"}`;
+        // The tool's own client credentials if it stored them, else the extension's
+        const candidate = { ...entry, client_id: entry.client_id || CLIENT_ID, client_secret: entry.client_secret || CLIENT_SECRET };
+        if (!candidate.client_id || !candidate.client_secret) {
+            console.log(`  ❌ ${label}: no OAuth client stored with it, and no Antigravity IDE to take one from`);
+            continue;
+        }
+        try {
+            const tokens = await refreshAccessToken(candidate);
+            const projectId = await resolveProject(tokens.access_token, project);
+            const email = await fetchEmail(tokens.access_token) || entry.email || `unknown-${projectId}`;
+            const accounts = readAccounts().filter(a => a.email !== email);
+            accounts.push({ ...candidate, ...tokens, project_id: projectId, email });
+            writeAccounts(accounts);
+            console.log(`  ✅ ${email} (project ${projectId})`);
+            imported++;
+        } catch (err) {
+            console.log(`  ❌ ${label}: ${err.message.replace(/^Token refresh failed for [^:]*: /, "token refresh failed: ")}`);
+        }
+    }
+    console.log(`\n${imported ? "✅" : "❌"} Imported ${imported} of ${found.length} account(s) into ${CREDS_PATH}`);
+    if (!imported) process.exit(1);
+}
+
 // ── Refresh Command ─────────────────────────────────────────────────────
-async function refresh() {
-    if (!existsSync(CREDS_PATH)) {
+function requireAccounts() {
+    let accounts;
+    try { accounts = readAccounts(); } catch (err) { console.error("❌", err.message); process.exit(1); }
+    if (accounts.length === 0) {
         console.log("No credentials found. Run: node setup.mjs login");
         process.exit(1);
     }
-    const creds = JSON.parse(readFileSync(CREDS_PATH, "utf-8"));
-    // Use stored client credentials for refresh
-    CLIENT_ID = creds.client_id;
-    CLIENT_SECRET = creds.client_secret;
-
-    console.log("Refreshing token...");
-    const newTokens = await refreshAccessToken(creds.refresh_token);
-    creds.access_token = newTokens.access_token;
-    creds.expires_at = newTokens.expires_at;
-    writeFileSync(CREDS_PATH, JSON.stringify(creds, null, 2));
+    return accounts;
+}
+
+async function refresh() {
+    const accounts = requireAccounts();
+    let failed = 0;
+    for (const creds of accounts) {
+        console.log(`Refreshing token for ${creds.email}...`);
+        try {
+            Object.assign(creds, await refreshAccessToken(creds));
+        } catch (err) {
+            console.error(`  ❌ ${err.message} — run: node setup.mjs login`);
+            failed++;
+        }
+    }
+    writeAccounts(accounts);
+    if (failed) process.exit(1);
     console.log("✅ Token refreshed!");
 }
 
+// ── Account Commands ────────────────────────────────────────────────────
+function list() {
+    const accounts = requireAccounts();
+    console.log(`\n${accounts.length} account(s) in ${CREDS_PATH}:\n`);
+    for (const creds of accounts) {
+        const expired = Date.now() >= (creds.expires_at || 0);
+        console.log(`  ${creds.email}`);
+        console.log(`     Project: ${creds.project_id}`);
+        console.log(`     Token:   ${expired ? "expired (refreshed automatically)" : `valid until ${new Date(creds.expires_at).toLocaleString()}`}`);
+    }
+    console.log();
+}
+
+function remove(email) {
+    if (!email) {
+        console.log("Usage: node setup.mjs remove <email>");
+        process.exit(1);
+    }
+    const accounts = requireAccounts();
+    const remaining = accounts.filter(a => a.email !== email);
+    if (remaining.length === accounts.length) {
+        console.error(`❌ No account ${email}. Run: node setup.mjs list`);
+        process.exit(1);
+    }
+    writeAccounts(remaining);
+    console.log(`✅ Removed ${email} (${remaining.length} account(s) left)`);
+}
+
+// ── Credential Commands ─────────────────────────────────────────────────
+function describeStorage() {
+    const { encrypted, mode } = storageInfo();
+    // Group or others can read it: possible with files written by older versions
+    const exposed = platform() !== "win32" && (parseInt(mode, 8) & 0o077)
+        ? `  ⚠ readable by other users — fix with: chmod 600 ${CREDS_PATH}` : "";
+    return `${encrypted ? "encrypted" : "plaintext"}, mode ${mode}${exposed}`;
+}
+
+async function status() {
+    const accounts = requireAccounts();
+    console.log(`\nCredentials: ${CREDS_PATH} (${describeStorage()})\n`);
+    let failed = 0;
+    for (const creds of accounts) {
+        const expired = Date.now() >= (creds.expires_at || 0);
+        console.log(`  ${creds.email}`);
+        console.log(`     Project: ${creds.project_id}`);
+        console.log(`     Token:   ${expired ? "expired" : `valid until ${new Date(creds.expires_at).toLocaleString()}`}`);
+        try {
+            const tokens = await refreshAccessToken(creds);
+            updateAccount(creds.email, tokens);
+            console.log("     Refresh: ✅ works");
+        } catch (err) {
+            console.log(`     Refresh: ❌ ${err.message.replace(/^.*?: /, "")} — run: node setup.mjs login`);
+            failed++;
+        }
+    }
+    console.log();
+    if (failed) process.exit(1);
+}
+
+async function whoami() {
+    for (const creds of requireAccounts()) {
+        try {
+            const response = await fetch(USERINFO_URL, { headers: { Authorization: `Bearer ${await freshToken(creds)}` } });
+            if (!response.ok) throw new Error(`userinfo ${response.status}`);
+            const { email, name } = await response.json();
+            const stored = email === creds.email ? "" : `  (stored as ${creds.email})`;
+            console.log(`${email}${name ? ` (${name})` : ""}  project ${creds.project_id}${stored}`);
+        } catch (err) {
+            console.log(`${creds.email}  project ${creds.project_id}  ❌ ${err.message}`);
+        }
+    }
+}
+
+async function logout(email) {
+    const accounts = requireAccounts();
+    const leaving = email ? accounts.filter(a => a.email === email) : accounts;
+    if (leaving.length === 0) {
+        console.error(`❌ No account ${email}. Run: node setup.mjs list`);
+        process.exit(1);
+    }
+    for (const creds of leaving) {
+        try {
+            await revokeAccount(creds);
+            console.log(`  Revoked ${creds.email}`);
+        } catch (err) {
+            console.error(`  ⚠ Could not revoke ${creds.email} (${err.message}) — revoke it at https://myaccount.google.com/permissions`);
+        }
+    }
+    const remaining = accounts.filter(a => !leaving.includes(a));
+    if (remaining.length) writeAccounts(remaining);
+    else deleteCredentials();
+    console.log(`✅ Logged out ${email || "all accounts"} (${remaining.length} account(s) left)`);
+}
+
+function setEncryption(encrypted) {
+    writeAccounts(requireAccounts(), { encrypted });
+    console.log(`✅ ${CREDS_PATH} is now ${describeStorage()}`);
+    if (encrypted) console.log("   The proxy and setup.mjs now need PROXY_CREDENTIALS_PASSPHRASE to read it.");
+}
+
+// ── Usage Command ───────────────────────────────────────────────────────
+// Per-model quota left on an account, as fetchAvailableModels reports it
+async function fetchQuota(creds) {
+    const response = await fetch(`${CODE_ASSIST_URL}/v1internal:fetchAvailableModels`, {
+        method: "POST",
+        headers: codeAssistHeaders(await freshToken(creds)),
+        body: JSON.stringify({ project: creds.project_id }),
+    });
+    if (!response.ok) throw new Error(`fetchAvailableModels ${response.status}`);
+    const { models = {} } = await response.json();
+    return Object.entries(models).filter(([, info]) => info.quotaInfo);
+}
+
+async function usage(args) {
+    const sinceIndex = args.indexOf("--since");
+    const since = sinceIndex >= 0 ? args[sinceIndex + 1] : undefined;
+    const positional = sinceIndex >= 0 ? [...args.slice(0, sinceIndex), ...args.slice(sinceIndex + 2)] : args;
+    const by = positional[0] || "day";
+
+    const { totals, groups } = summarizeUsage(await readLedger({ since }), by);
+    console.log(`\nUsage by ${by}${since ? ` since ${since}` : ""} (${LEDGER_PATH}):\n`);
+    const columns = {
+        requests: "requests", errors: "errors", input_tokens: "input", output_tokens: "output",
+        thinking_tokens: "thinking", cached_tokens: "cached", cache_hit_rate: "cache %", avg_latency_ms: "avg ms",
+    };
+    const format = (row, column) => column === "cache_hit_rate" ? `${Math.round(row[column] * 100)}%` : String(row[column]);
+    const width = Math.max(8, ...groups.map(g => g.key.length));
+    console.log(`  ${"".padEnd(width)}  ${Object.values(columns).map(label => label.padStart(10)).join("")}`);
+    for (const row of [...groups, { key: "total", ...totals }]) {
+        console.log(`  ${row.key.padEnd(width)}  ${Object.keys(columns).map(c => format(row, c).padStart(10)).join("")}`);
+    }
+
+    console.log("\nRemaining quota:\n");
+    for (const creds of readAccounts()) {
+        try {
+            const quota = await fetchQuota(creds);
+            console.log(`  ${creds.email}${quota.length ? "" : "  (not reported)"}`);
+            for (const [model, { quotaInfo }] of quota) {
+                const left = quotaInfo.remainingFraction == null ? "?" : `${Math.round(quotaInfo.remainingFraction * 100)}%`;
+                const reset = quotaInfo.resetTime ? `, resets ${new Date(quotaInfo.resetTime).toLocaleString()}` : "";
+                console.log(`     ${model.padEnd(32)} ${left.padStart(4)} left${reset}`);
+            }
+        } catch (err) {
+            console.log(`  ${creds.email}  (could not fetch: ${err.message})`);
+        }
+    }
+    console.log();
+}
+
+async function logs(args) {
+    const filters = { requestId: option(args, "--request"), model: option(args, "--model"), status: option(args, "--status") };
+    const level = option(args, "--level", "debug");
+    if (!LOG_LEVELS.includes(level)) throw new Error(`--level must be one of: ${LOG_LEVELS.join(", ")}`);
+    const lines = parseInt(option(args, "--lines", "50"), 10);
+    if (!(lines >= 0)) throw new Error("--lines must be a number");
+    const follow = args.includes("--follow") || args.includes("-f");
+    const print = (entry) => console.log(args.includes("--json") ? JSON.stringify(entry) : formatLogEntry(entry));
+    const filtered = !!(filters.requestId || filters.model || filters.status);
+    const shown = (entry) => LOG_LEVELS.indexOf(entry.level || "info") >= LOG_LEVELS.indexOf(level);
+
+    // With filters only request lines count, and a request is judged as a whole
+    const select = (entries) => {
+        if (!filtered) return entries;
+        const requests = new Map(); // request_id → entries
+        for (const e of entries) {
+            if (!e.request_id) continue;
+            if (!requests.has(e.request_id)) requests.set(e.request_id, []);
+            requests.get(e.request_id).push(e);
+        }
+        return entries.filter(e => e.request_id && requestMatches(requests.get(e.request_id), filters));
+    };
+    const entries = select(readLog()).filter(shown);
+    for (const entry of lines ? entries.slice(-lines) : entries) print(entry);
+    if (!follow) return;
+
+    // Lines of unfinished requests wait for the request to complete when
+    // filtering by model or status, which can be logged after them
+    const pending = new Map(); // request_id → entries
+    const onEntry = (entry) => {
+        if (!filtered) { if (shown(entry)) print(entry); return; }
+        if (!entry.request_id) return;
+        const entries = pending.get(entry.request_id) || [];
+        entries.push(entry);
+        pending.set(entry.request_id, entries);
+        if (entry.stage !== "completed") return;
+        pending.delete(entry.request_id);
+        if (requestMatches(entries, filters)) entries.filter(shown).forEach(print);
+    };
+    let position = existsSync(LOG_PATH) ? statSync(LOG_PATH).size : 0;
+    let partial = "";
+    console.error(`Following ${LOG_PATH} (Ctrl+C to stop)`);
+    setInterval(() => {
+        if (!existsSync(LOG_PATH)) return;
+        const size = statSync(LOG_PATH).size;
+        if (size < position) position = 0; // rotated
+        if (size === position) return;
+        const buffer = Buffer.alloc(size - position);
+        const fd = openSync(LOG_PATH, "r");
+        try { readSync(fd, buffer, 0, buffer.length, position); } finally { closeSync(fd); }
+        position = size;
+        const text = partial + buffer.toString("utf-8");
+        const complete = text.split("\n");
+        partial = complete.pop();
+        for (const line of complete) if (line.trim()) onEntry(parseLogLine(line));
+    }, 500);
+}
+
 // ── CLI ─────────────────────────────────────────────────────────────────
 const cmd = process.argv[2] || "login";
 if (cmd === "login") {
-    login().catch(err => { console.error("❌", err.message); process.exit(1); });
+    login(process.argv.slice(3)).catch(err => { console.error("❌", err.message); process.exit(1); });
+} else if (cmd === "import") {
+    importAccounts(process.argv.slice(3)).catch(err => { console.error("❌", err.message); process.exit(1); });
 } else if (cmd === "refresh") {
     refresh().catch(err => { console.error("❌", err.message); process.exit(1); });
+} else if (cmd === "list") {
+    list();
+} else if (cmd === "status") {
+    status().catch(err => { console.error("❌", err.message); process.exit(1); });
+} else if (cmd === "whoami") {
+    whoami().catch(err => { console.error("❌", err.message); process.exit(1); });
+} else if (cmd === "remove") {
+    remove(process.argv[3]);
+} else if (cmd === "logout") {
+    logout(process.argv[3]).catch(err => { console.error("❌", err.message); process.exit(1); });
+} else if (cmd === "encrypt" || cmd === "decrypt") {
+    try { setEncryption(cmd === "encrypt"); } catch (err) { console.error("❌", err.message); process.exit(1); }
+} else if (cmd === "usage") {
+    usage(process.argv.slice(3)).catch(err => { console.error("❌", err.message); process.exit(1); });
+} else if (cmd === "logs") {
+    logs(process.argv.slice(3)).catch(err => { console.error("❌", err.message); process.exit(1); });
 } else {
-    console.log("Usage: node setup.mjs [login|refresh]");
+    console.log("Usage: node setup.mjs [login [--no-browser] [--port <n>] [--timeout <seconds>] [--project <id>]|import [file] [--project <id>]|list|status|whoami|remove <email>|logout [email]|refresh|encrypt|decrypt|usage|logs]");
 }
@@ -10,28 +10,64 @@ if (-not (Get-Command node -ErrorAction SilentlyContinue)) {
     exit 1
 }
 
-# Kill any existing proxy on port 51200
-$existing = Get-NetTCPConnection -LocalPort 51200 -ErrorAction SilentlyContinue
+# Where the proxy will listen: PROXY_PORT, HTTPS when PROXY_TLS_CERT is set
+$port = if ($env:PROXY_PORT) { [int]$env:PROXY_PORT } else { 51200 }
+$scheme = if ($env:PROXY_TLS_CERT) { "https" } else { "http" }
+$proxyUrl = "${scheme}://127.0.0.1:$port"
+
+# Kill any existing proxy on that port
+$existing = Get-NetTCPConnection -LocalPort $port -ErrorAction SilentlyContinue
 if ($existing) {
     $existing | ForEach-Object { Stop-Process -Id $_.OwningProcess -Force -ErrorAction SilentlyContinue }
     Start-Sleep -Seconds 1
 }
 
+# The key Claude Code (and the probes below) send: PROXY_API_KEY, else the
+# first of the proxy's own PROXY_API_KEYS
+if (-not $env:PROXY_API_KEY -and $env:PROXY_API_KEYS) {
+    $env:PROXY_API_KEY = ($env:PROXY_API_KEYS -split ",")[0].Trim()
+}
+
 # Start proxy in background
 $proxy = Start-Process node -ArgumentList "$ScriptDir\proxy.mjs" -WindowStyle Hidden -PassThru
-Start-Sleep -Seconds 2
 
-if ($proxy.HasExited) {
+# Wait up to 10s for the proxy to answer its health check
+$probeHeaders = @{ "x-api-key" = "$env:PROXY_API_KEY" }
+# The probes only talk to our own proxy on loopback, so a self-signed
+# certificate is fine (PowerShell 6+ can skip the check)
+$probeOptions = @{ UseBasicParsing = $true }
+if ($env:PROXY_TLS_CERT -and $PSVersionTable.PSVersion.Major -ge 6) { $probeOptions.SkipCertificateCheck = $true }
+$healthy = $false
+for ($i = 0; $i -lt 20 -and -not $proxy.HasExited; $i++) {
+    try {
+        Invoke-WebRequest -Uri "$proxyUrl/health" @probeOptions -TimeoutSec 2 | Out-Null
+        $healthy = $true
+        break
+    } catch {
+        Start-Sleep -Milliseconds 500
+    }
+}
+
+if (-not $healthy) {
     Write-Host "❌ Proxy failed to start! Check ~\.claude-code-via-antigravity-proxy.log" -ForegroundColor Red
+    Stop-Process -Id $proxy.Id -Force -ErrorAction SilentlyContinue
     exit 1
 }
 
 Write-Host "✅ Proxy running (PID: $($proxy.Id))" -ForegroundColor Green
 Write-Host "   Log: ~\.claude-code-via-antigravity-proxy.log"
+# Up, but maybe not able to serve: expired login, no project, upstream down
+try {
+    Invoke-WebRequest -Uri "$proxyUrl/ready" -Headers $probeHeaders @probeOptions -TimeoutSec 10 | Out-Null
+} catch {
+    Write-Host "⚠️  Proxy is not ready yet — see $proxyUrl/ready" -ForegroundColor Yellow
+}
 
 # Set environment and launch Claude Code CLI
-$env:ANTHROPIC_BASE_URL = "http://localhost:51200"
-$env:ANTHROPIC_API_KEY = "claude-code-via-antigravity"
+$env:ANTHROPIC_BASE_URL = $proxyUrl
+# Let Claude Code trust the proxy's own (possibly self-signed) certificate
+if ($env:PROXY_TLS_CERT -and -not $env:NODE_EXTRA_CA_CERTS) { $env:NODE_EXTRA_CA_CERTS = $env:PROXY_TLS_CERT }
+$env:ANTHROPIC_API_KEY = if ($env:PROXY_API_KEY) { $env:PROXY_API_KEY } else { "claude-code-via-antigravity" }
 
 claude --dangerously-skip-permissions
 
@@ -17,27 +17,60 @@ if ! command -v node &> /dev/null; then
     fi
 fi
 
-# Kill any existing proxy on port 51200
-kill -9 $(lsof -t -i :51200) 2>/dev/null || true
+# Where the proxy will listen: PROXY_PORT, HTTPS when PROXY_TLS_CERT is set
+PORT=${PROXY_PORT:-51200}
+SCHEME=http
+[ -n "$PROXY_TLS_CERT" ] && SCHEME=https
+PROXY_URL="$SCHEME://127.0.0.1:$PORT"
+
+# Kill any existing proxy on that port
+kill -9 $(lsof -t -i :"$PORT") 2>/dev/null || true
 sleep 0.5
 
+# The key Claude Code (and the probes below) send: PROXY_API_KEY, else the
+# first of the proxy's own PROXY_API_KEYS
+if [ -z "$PROXY_API_KEY" ] && [ -n "$PROXY_API_KEYS" ]; then
+    PROXY_API_KEY="${PROXY_API_KEYS%%,*}"
+    PROXY_API_KEY="${PROXY_API_KEY// /}"
+fi
+export PROXY_API_KEY
+
 # Start proxy in background (logs go to file, not terminal)
 node "$SCRIPT_DIR/proxy.mjs" > /dev/null 2>&1 &
 PROXY_PID=$!
-sleep 1
 
-# Check if proxy started
-if ! kill -0 $PROXY_PID 2>/dev/null; then
+# Wait up to 10s for the proxy to answer its health check.
+# probe <path> <timeout in ms>: whether the proxy answers <path> with 2xx.
+# It only talks to our own proxy on loopback, so a self-signed certificate is fine.
+probe() {
+    NODE_TLS_REJECT_UNAUTHORIZED=0 node -e "fetch('$PROXY_URL/$1', { headers: { 'x-api-key': process.env.PROXY_API_KEY || '' }, signal: AbortSignal.timeout($2) })
+        .then(r => process.exit(r.ok ? 0 : 1), () => process.exit(1))" 2>/dev/null
+}
+HEALTHY=
+for _ in $(seq 1 20); do
+    kill -0 $PROXY_PID 2>/dev/null || break
+    if probe health 2000; then HEALTHY=1; break; fi
+    sleep 0.5
+done
+
+if [ -z "$HEALTHY" ]; then
     echo "❌ Proxy failed to start! Check ~/.claude-code-via-antigravity-proxy.log"
+    kill $PROXY_PID 2>/dev/null || true
     exit 1
 fi
 
 echo "✅ Proxy running (PID: $PROXY_PID)"
 echo "   Log: ~/.claude-code-via-antigravity-proxy.log"
+# Up, but maybe not able to serve: expired login, no project, upstream down
+if ! probe ready 10000; then
+    echo "⚠️  Proxy is not ready yet — see $PROXY_URL/ready"
+fi
 
 # Set environment and launch Claude Code CLI
-export ANTHROPIC_BASE_URL=http://localhost:51200
-export ANTHROPIC_API_KEY=claude-code-via-antigravity
+export ANTHROPIC_BASE_URL=$PROXY_URL
+# Let Claude Code trust the proxy's own (possibly self-signed) certificate
+[ -n "$PROXY_TLS_CERT" ] && export NODE_EXTRA_CA_CERTS=${NODE_EXTRA_CA_CERTS:-$PROXY_TLS_CERT}
+export ANTHROPIC_API_KEY=${PROXY_API_KEY:-claude-code-via-antigravity}
 
 claude --dangerously-skip-permissions
 
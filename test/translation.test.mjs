@@ -0,0 +1,141 @@
+/**
+ * Claude Code via Antigravity — Translation regression tests
+ *
+ * Replays the upstream exchanges in test/fixtures through the mock upstream
+ * and checks that the proxy still translates each case in test/cases the same
+ * way. Run from the repository root:
+ *
+ *   node --test
+ *
+ * To re-record after an intended change, point the run at an upstream (the
+ * scripted mock, or production with a stored account); fixtures and expected
+ * outputs are rewritten:
+ *
+ *   node mock-upstream.mjs &
+ *   RECORD_UPSTREAM=http://localhost:51300 node --test
+ */
+
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { spawn } from "node:child_process";
+import { createServer } from "node:net";
+import { mkdtempSync, readdirSync, readFileSync, writeFileSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { fileURLToPath } from "node:url";
+
+const ROOT = fileURLToPath(new URL("..", import.meta.url));
+const FIXTURES = join(ROOT, "test", "fixtures");
+const CASES = join(ROOT, "test", "cases");
+const RECORD_UPSTREAM = process.env.RECORD_UPSTREAM;
+
+// ── Harness ─────────────────────────────────────────────────────────────
+
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const server = createServer().listen(0, "127.0.0.1", () => {
+            const { port } = server.address();
+            server.close(() => resolve(port));
+        }).on("error", reject);
+    });
+}
+
+// Start a script and wait for the line that says it is listening
+function start(script, args, env) {
+    return new Promise((resolve, reject) => {
+        const child = spawn(process.execPath, [join(ROOT, script), ...args], { env, stdio: ["ignore", "pipe", "pipe"] });
+        let output = "";
+        const timer = setTimeout(() => { child.kill(); reject(new Error(`${script} did not start:\n${output}`)); }, 10000);
+        const onData = (data) => {
+            output += data;
+            if (/running on|Mock upstream/.test(output)) { clearTimeout(timer); resolve(child); }
+        };
+        child.stdout.on("data", onData);
+        child.stderr.on("data", onData);
+        child.on("exit", (code) => { clearTimeout(timer); reject(new Error(`${script} exited (${code}):\n${output}`)); });
+    });
+}
+
+let home, mock, proxy, baseUrl;
+
+before(async () => {
+    home = mkdtempSync(join(tmpdir(), "antigravity-test-"));
+    writeFileSync(join(home, ".claude-code-via-antigravity-credentials.json"), JSON.stringify({
+        accounts: [{
+            email: "test@example.com", access_token: "test-token", refresh_token: "test-refresh",
+            expires_at: Date.now() + 24 * 3600 * 1000, project_id: "test-project",
+            client_id: "test-client", client_secret: "test-secret",
+        }],
+    }));
+    const [mockPort, proxyPort] = [await freePort(), await freePort()];
+    const env = {
+        ...process.env, HOME: home, USERPROFILE: home,
+        MOCK_PORT: String(mockPort), PROXY_PORT: String(proxyPort), PROXY_HOST: "127.0.0.1",
+        PROXY_ENDPOINTS: `http://127.0.0.1:${mockPort}`, PROXY_LOG_FILE: join(home, "proxy.log"),
+        PROXY_API_KEYS: "",
+    };
+    mock = await start("mock-upstream.mjs", RECORD_UPSTREAM ? ["record", FIXTURES, RECORD_UPSTREAM] : ["replay", FIXTURES], env);
+    proxy = await start("proxy.mjs", [], env);
+    baseUrl = `http://127.0.0.1:${proxyPort}`;
+});
+
+after(() => {
+    for (const child of [proxy, mock]) if (child) { child.removeAllListeners("exit"); child.kill(); }
+    if (home) rmSync(home, { recursive: true, force: true });
+});
+
+// ── Normalizing ─────────────────────────────────────────────────────────
+
+// IDs and timestamps the proxy makes up differ on every run
+function normalize(value) {
+    if (typeof value === "string") {
+        return value
+            .replace(/\bmsg_\d+\b/g, "msg_*")
+            .replace(/\btoolu_(?:u\d+_[\w-]+|[0-9a-f]{24})\b/g, "toolu_*")
+            .replace(/\bchatcmpl-[0-9a-f]+\b/g, "chatcmpl-*");
+    }
+    if (Array.isArray(value)) return value.map(normalize);
+    if (value && typeof value === "object") {
+        return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, key === "created" ? 0 : normalize(v)]));
+    }
+    return value;
+}
+
+// A streamed body as a list of { event, data }; pings depend on timing and are left out
+function parseStream(text) {
+    const events = [];
+    for (const block of text.split(/\n\n/)) {
+        const event = block.match(/^event: (.*)$/m)?.[1];
+        const data = block.match(/^data: (.*)$/m)?.[1];
+        if (data === undefined || event === "ping") continue;
+        events.push(event ? { event, data: data === "[DONE]" ? data : JSON.parse(data) } : { data: data === "[DONE]" ? data : JSON.parse(data) });
+    }
+    return events;
+}
+
+async function run({ path, request }) {
+    const resp = await fetch(`${baseUrl}${path}`, {
+        method: "POST",
+        headers: { "content-type": "application/json", "anthropic-version": "2023-06-01" },
+        body: JSON.stringify(request),
+    });
+    const text = await resp.text();
+    const body = (resp.headers.get("content-type") || "").includes("text/event-stream") ? parseStream(text) : JSON.parse(text);
+    return normalize({ status: resp.status, body });
+}
+
+// ── Cases ───────────────────────────────────────────────────────────────
+
+// Cases run in file name order, one after another, as they were recorded
+for (const file of readdirSync(CASES).filter(f => f.endsWith(".json")).sort()) {
+    test(file.replace(/\.json$/, ""), async () => {
+        const path = join(CASES, file);
+        const testCase = JSON.parse(readFileSync(path, "utf-8"));
+        const actual = await run(testCase);
+        if (RECORD_UPSTREAM) {
+            writeFileSync(path, JSON.stringify({ ...testCase, expected: actual }, null, 2) + "\n");
+            return;
+        }
+        assert.deepEqual(actual, testCase.expected);
+    });
+}
@@ -0,0 +1,89 @@
+/**
+ * Claude Code via Antigravity — Usage Ledger
+ *
+ * The proxy appends one JSON line per API request to the ledger, including
+ * requests refused before reaching upstream; `node setup.mjs usage` and
+ * `GET /usage` read it back and add it up.
+ *
+ * Entry fields:
+ *   ts, api ("anthropic" | "openai"), path, client (API key name), account, session, model (as requested),
+ *   mapped_model (the model that answered), stream, input_tokens, output_tokens (including thinking),
+ *   thinking_tokens, cached_tokens, fallback_from (mapped model that was
+ *   rate limited or unavailable), latency_ms, endpoint, status (HTTP), error
+ */
+
+import { appendFileSync, createReadStream, existsSync } from "node:fs";
+import { createInterface } from "node:readline";
+import { homedir } from "node:os";
+import { join } from "node:path";
+
+export const LEDGER_PATH = process.env.PROXY_USAGE_LEDGER
+    || join(homedir(), ".claude-code-via-antigravity-usage.jsonl");
+
+export function recordUsage(entry) {
+    appendFileSync(LEDGER_PATH, JSON.stringify(entry) + "\n");
+}
+
+// Entries on or after `since` (YYYY-MM-DD); unreadable lines are skipped.
+// Read line by line, so the proxy keeps serving while a large ledger is read.
+export async function readLedger({ since } = {}) {
+    if (!existsSync(LEDGER_PATH)) return [];
+    const entries = [];
+    for await (const line of createInterface({ input: createReadStream(LEDGER_PATH), crlfDelay: Infinity })) {
+        if (!line.trim()) continue;
+        try {
+            const entry = JSON.parse(line);
+            if (!since || entry.ts >= since) entries.push(entry);
+        } catch { }
+    }
+    return entries;
+}
+
+export const USAGE_GROUPS = {
+    day: (e) => e.ts.slice(0, 10),
+    model: (e) => e.mapped_model || e.model || "(none)",
+    session: (e) => e.session || "(none)",
+    account: (e) => e.account || "(none)",
+    client: (e) => e.client || "(none)",
+};
+
+function emptyTotals() {
+    return { requests: 0, errors: 0, input_tokens: 0, output_tokens: 0, thinking_tokens: 0, cached_tokens: 0, latency_ms: 0 };
+}
+
+function add(totals, entry) {
+    totals.requests++;
+    if (entry.error || entry.status >= 400) totals.errors++;
+    for (const field of ["input_tokens", "output_tokens", "thinking_tokens", "cached_tokens", "latency_ms"]) {
+        totals[field] += entry[field] || 0;
+    }
+}
+
+function finish(totals) {
+    const { latency_ms, ...rest } = totals;
+    return {
+        ...rest,
+        avg_latency_ms: totals.requests ? Math.round(latency_ms / totals.requests) : 0,
+        // Share of prompt tokens served from the upstream cache (input_tokens includes them)
+        cache_hit_rate: totals.input_tokens ? Math.round(totals.cached_tokens / totals.input_tokens * 1000) / 1000 : 0,
+    };
+}
+
+// Totals overall and per group (`by` is a USAGE_GROUPS key), groups sorted by key
+export function summarizeUsage(entries, by = "day") {
+    const keyOf = USAGE_GROUPS[by];
+    if (!keyOf) throw new Error(`Unknown grouping "${by}" (expected one of: ${Object.keys(USAGE_GROUPS).join(", ")})`);
+    const totals = emptyTotals();
+    const groups = new Map();
+    for (const entry of entries) {
+        add(totals, entry);
+        const key = keyOf(entry);
+        if (!groups.has(key)) groups.set(key, emptyTotals());
+        add(groups.get(key), entry);
+    }
+    return {
+        by,
+        totals: finish(totals),
+        groups: [...groups.keys()].sort().map(key => ({ key, ...finish(groups.get(key)) })),
+    };
+}